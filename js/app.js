@@ -4,24 +4,26 @@
  * Premium features: syntax highlighting, copy, download, toasts, keyboard shortcuts
  */
 
-import { preprocess, preprocessLines } from "./preprocessor.js";
+import { preprocessWords, preprocessLines } from "./preprocessor.js";
 import { tokenize } from "./tokenizer.js";
-import { parse } from "./parser.js";
-import { generate, generateProgram } from "./generator.js";
+import { parse, parseProgram } from "./parser.js";
+import { generate, generateProgram, renameNotices, targetErrors, getLanguage, languageNames } from "./generator.js";
+import { checkProgram } from "./checker.js";
 import { improveEnglish } from "./grammar-client.js";
 
 /**
- * Translate a single line of English input.
+ * Translate a single line of English input. A failure gives the `start`/`end`
+ * columns of the offending word in `rawLine`, when it can be pinned down.
  */
 function translateLine(rawLine, lang) {
-    const cleaned = preprocess(rawLine);
-    if (!cleaned) return { success: false, error: "Empty input" };
+    const words = preprocessWords(rawLine);
+    if (words.length === 0) return { success: false, error: "Empty input" };
 
-    const tokens = tokenize(cleaned);
+    const tokens = tokenize(words);
     if (tokens.length === 0) return { success: false, error: "No tokens found" };
 
-    const result = parse(tokens);
-    if (!result.success) return { success: false, error: result.error };
+    const result = parse(tokens, rawLine);
+    if (!result.success) return { success: false, error: result.error, start: result.start, end: result.end };
 
     const code = generate(result.node, lang);
     return { success: true, code, ast: result.node };
@@ -36,27 +38,20 @@ function translateProgram(rawInput, lang) {
         return { success: false, errors: [{ line: 0, error: "Empty input" }] };
     }
 
-    const nodes = [];
-    const errors = [];
-    let totalTokens = 0;
-
-    cleanedLines.forEach((line, index) => {
-        const tokens = tokenize(line);
-        totalTokens += tokens.length;
-        const result = parse(tokens);
-        if (result.success) {
-            nodes.push(result.node);
-        } else {
-            errors.push({ line: index + 1, error: result.error });
-        }
-    });
+    const { nodes, errors, totalTokens } = parseProgram(cleanedLines);
 
     if (nodes.length === 0 && errors.length > 0) {
         return { success: false, errors, totalTokens };
     }
 
+    const unsupported = targetErrors(nodes, lang);
+    if (unsupported.length > 0) {
+        return { success: false, errors: [...errors, ...unsupported].sort((a, b) => a.line - b.line), nodes, totalTokens };
+    }
+
     const code = generateProgram(nodes, lang);
-    return { success: true, code, errors, nodes, totalTokens };
+    const diagnostics = [...errors, ...checkProgram(nodes), ...renameNotices(nodes, lang)].sort((a, b) => a.line - b.line);
+    return { success: true, code, errors: diagnostics, nodes, totalTokens };
 }
 
 // ─── EXAMPLE COMMANDS ───
@@ -68,11 +63,11 @@ const EXAMPLE_COMMANDS = [
     },
     {
         title: "Variables & Math",
-        code: `create variable x value 10\ncreate variable y value 20\nadd x and y store in result\nprint result`,
+        code: `create variable x value 10\ncreate variable y value 20\nadd x and y store in total\nprint total`,
     },
     {
         title: "If-Else Logic",
-        code: `create variable age value 18\nif age greater than 17 then print "Adult" else print "Minor"`,
+        code: `create variable age value 18\nif age greater than 64 then print "Senior" else if age greater than 17 then print "Adult" else print "Minor"`,
     },
     {
         title: "While Loop",
@@ -82,6 +77,10 @@ const EXAMPLE_COMMANDS = [
         title: "For Loop",
         code: `for i from 1 to 11 do print i`,
     },
+    {
+        title: "Nested Blocks",
+        code: `create variable total value 0\nfor i from 1 to 6 do\n    if i greater than 3 then\n        add total and i store in total\n    else\n        print i\nprint total`,
+    },
     {
         title: "Function",
         code: `define function greet do print "Hello!"\ncall greet`,
@@ -90,6 +89,22 @@ const EXAMPLE_COMMANDS = [
         title: "List Operations",
         code: `create list numbers values 1 2 3 4 5\nappend 6 to numbers\nprint numbers`,
     },
+    {
+        title: "For Each",
+        code: `create list scores values 90 75 60\nfor each score in scores do\n    print score`,
+    },
+    {
+        title: "Dictionary",
+        code: `create map ages\nput "alice" as 30 into ages\nput "bob" as 25 into ages\nfor each name and age in ages do print name age`,
+    },
+    {
+        title: "List Queries",
+        code: `create list scores values 70 95 82\nsort scores\nget item 1 of scores store in lowest\nprint lowest\nprint length of scores\nif scores contains 95 then print "top score"`,
+    },
+    {
+        title: "Strings",
+        code: `create variable first value "Ada"\ncreate variable last value "Lovelace"\njoin first and last into full_name\nprint "Hello, {full_name}!"\nprint "Letters:" length of full_name\nuppercase full_name\nprint full_name`,
+    },
     {
         title: "Full Program",
         code: `comment A simple calculator\ncreate variable a value 15\ncreate variable b value 7\nadd a and b store in sum\nsubtract a and b store in diff\nmultiply a and b store in prod\nprint sum\nprint diff\nprint prod`,
@@ -98,36 +113,10 @@ const EXAMPLE_COMMANDS = [
 
 // ─── SYNTAX HIGHLIGHTING ───
 
-const SYNTAX_RULES = {
-    python: {
-        keywords: /\b(def|class|if|elif|else|for|while|return|import|from|as|with|try|except|finally|raise|pass|break|continue|and|or|not|in|is|lambda|yield|global|nonlocal|assert|del|True|False|None)\b/g,
-        builtins: /\b(print|range|len|str|int|float|list|dict|set|tuple|input|open|type|isinstance|enumerate|zip|map|filter|sorted|reversed|abs|min|max|sum|any|all|super)\b/g,
-        strings: /("""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/g,
-        comments: /(#.*$)/gm,
-        numbers: /\b(\d+\.?\d*)\b/g,
-    },
-    java: {
-        keywords: /\b(public|private|protected|static|final|abstract|class|interface|extends|implements|new|return|if|else|for|while|do|switch|case|break|continue|try|catch|finally|throw|throws|import|package|void|int|double|float|long|short|byte|char|boolean|String|true|false|null)\b/g,
-        builtins: /\b(System|out|println|Scanner|ArrayList|Arrays|Math|Integer|Double|Float|Long|Object)\b/g,
-        strings: /("(?:[^"\\]|\\.)*")/g,
-        comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
-        numbers: /\b(\d+\.?\d*[fFdDlL]?)\b/g,
-        types: /\b(int|double|float|long|short|byte|char|boolean|String|void|var|ArrayList|Scanner|Object)\b/g,
-    },
-    cpp: {
-        keywords: /\b(auto|break|case|char|const|continue|default|do|double|else|enum|extern|float|for|goto|if|int|long|register|return|short|signed|sizeof|static|struct|switch|typedef|union|unsigned|void|volatile|while|class|namespace|template|this|new|delete|try|catch|throw|public|private|protected|virtual|inline|using|bool|true|false|nullptr)\b/g,
-        builtins: /\b(std|cout|cin|endl|string|vector|map|set|pair|queue|stack|sort|find|begin|end|push_back|size|empty|front|back|insert|erase)\b/g,
-        strings: /("(?:[^"\\]|\\.)*")/g,
-        comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
-        numbers: /\b(\d+\.?\d*[fFlLuU]*)\b/g,
-        includes: /(#include\s*<[^>]+>)/g,
-        types: /\b(int|double|float|long|short|char|bool|void|auto|string|vector|map|set|pair)\b/g,
-    },
-};
-
+// Patterns come from each language backend (see registerLanguage)
 function highlightCode(code, lang) {
     if (!code) return "";
-    const rules = SYNTAX_RULES[lang];
+    const rules = languageNames().includes(lang) ? getLanguage(lang).highlight : null;
     if (!rules) return escapeHtml(code);
 
     let result = escapeHtml(code);
@@ -181,6 +170,20 @@ function highlightCode(code, lang) {
     return result;
 }
 
+/**
+ * The input line an error points into, with the offending columns underlined
+ * and a caret line below. Empty for errors without columns.
+ */
+function errorSnippet(raw, e) {
+    if (e.start === undefined) return "";
+    const source = raw.split("\n")[e.line - 1] || "";
+    const marked = escapeHtml(source.slice(0, e.start)) +
+        `<span class="error-mark">${escapeHtml(source.slice(e.start, e.end))}</span>` +
+        escapeHtml(source.slice(e.end));
+    const caret = " ".repeat(e.start) + "^".repeat(Math.max(1, e.end - e.start));
+    return `<pre class="error-source">${marked}\n${caret}</pre>`;
+}
+
 function escapeHtml(str) {
     return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
 }
@@ -212,7 +215,7 @@ function initApp() {
     const inputEl = document.getElementById("english-input");
     const outputEl = document.getElementById("code-output");
     const errorEl = document.getElementById("error-output");
-    const langTabs = document.querySelectorAll(".lang-tab");
+    const langTabsContainer = document.getElementById("lang-tabs");
     const translateBtn = document.getElementById("translate-btn");
     const clearBtn = document.getElementById("clear-btn");
     const grammarBtn = document.getElementById("grammar-btn");
@@ -255,13 +258,21 @@ function initApp() {
     });
 
     // ─── Language tabs ───
-    const langNames = { python: "Python", java: "Java", cpp: "C++" };
+    // One tab per registered language
+    const langTabs = languageNames().map((lang) => {
+        const tab = document.createElement("button");
+        tab.className = `lang-tab${lang === currentLang ? " active" : ""}`;
+        tab.dataset.lang = lang;
+        tab.textContent = getLanguage(lang).label;
+        langTabsContainer.appendChild(tab);
+        return tab;
+    });
     langTabs.forEach((tab) => {
         tab.addEventListener("click", () => {
             langTabs.forEach((t) => t.classList.remove("active"));
             tab.classList.add("active");
             currentLang = tab.dataset.lang;
-            if (statLang) statLang.textContent = langNames[currentLang] || currentLang;
+            if (statLang) statLang.textContent = getLanguage(currentLang).label;
             doTranslate();
         });
     });
@@ -322,8 +333,7 @@ function initApp() {
     if (downloadBtn) {
         downloadBtn.addEventListener("click", () => {
             if (!lastCode) { showToast("No code to download", "error", 2000); return; }
-            const ext = { python: "py", java: "java", cpp: "cpp" }[currentLang] || "txt";
-            const filename = `generated.${ext}`;
+            const filename = `generated.${getLanguage(currentLang).extension}`;
             const blob = new Blob([lastCode], { type: "text/plain" });
             const url = URL.createObjectURL(blob);
             const a = document.createElement("a");
@@ -475,7 +485,7 @@ function initApp() {
         if (result.errors && result.errors.length > 0) {
             errorEl.style.display = "block";
             errorEl.innerHTML = result.errors.map(e =>
-                `<div class="error-line"><span class="error-badge">Line ${e.line}</span> ${escapeHtml(e.error)}</div>`
+                `<div class="error-line"><span class="error-badge">Line ${e.line}</span><div class="error-body">${escapeHtml(e.error)}${errorSnippet(raw, e)}</div></div>`
             ).join("");
         } else {
             errorEl.style.display = "none";
@@ -0,0 +1,156 @@
+/**
+ * Semantic Checker Module
+ * Walks the AST list of a parsed program and reports names used before they
+ * are created, calls to functions that are never defined, calls with the wrong
+ * number of arguments and (through typeWarnings) type changes. Diagnostics use
+ * the { line, error } shape of parse errors; warnings start with "Warning:".
+ */
+
+import { childBlocks, interpolationParts, typeWarnings, walkNodes } from "./codegen.js";
+
+/**
+ * Fields of each statement that hold values read when it runs.
+ */
+const READ_FIELDS = {
+    variable_creation: ["value"],
+    assignment: ["value"],
+    print: ["values"],
+    arithmetic: ["left", "right"],
+    increment: ["variable", "amount"],
+    decrement: ["variable", "amount"],
+    while_loop: ["condition"],
+    repeat_loop: ["count"],
+    for_loop: ["from", "to", "step"],
+    for_each: ["iterable"],
+    for_each_entry: ["map"],
+    function_call: ["args"],
+    return: ["value"],
+    list_creation: ["values"],
+    map_put: ["map", "key", "value"],
+    map_get: ["map", "key"],
+    sort: ["list"],
+    remove: ["collection", "item"],
+    append: ["list", "value"],
+};
+
+/**
+ * Fields of each statement naming the variable it creates by storing into it.
+ */
+const CREATED_FIELDS = {
+    variable_creation: "name",
+    list_creation: "name",
+    map_creation: "name",
+    assignment: "name",
+    arithmetic: "result",
+    input: "variable",
+    map_get: "result",
+};
+
+const IDENTIFIER = /^[a-z_]\w*$/i;
+
+// Variable names read by a value, expression or condition
+function valueNames(value) {
+    if (value === null || value === undefined) return [];
+    if (Array.isArray(value)) return value.flatMap(valueNames);
+    if (typeof value === "object") {
+        const { type, operator, mode, ...operands } = value;
+        return Object.values(operands).flatMap(valueNames);
+    }
+    const parts = interpolationParts(value);
+    if (parts) return parts.filter((p) => p.name).map((p) => p.name);
+    return IDENTIFIER.test(value) && value !== "true" && value !== "false" ? [value] : [];
+}
+
+// Variable names a statement reads before its body runs
+function readNames(node) {
+    if (node.type === "if_statement") {
+        return valueNames([node.condition, ...(node.elseIfs || []).map((branch) => branch.condition)]);
+    }
+    return (READ_FIELDS[node.type] || []).flatMap((field) => valueNames(node[field]));
+}
+
+// Names a statement's body can use: loop variables
+function loopNames(node) {
+    if (node.type === "for_loop" || node.type === "for_each") return [node.variable];
+    if (node.type === "for_each_entry") return [node.key, node.value];
+    return [];
+}
+
+// Every name created anywhere in a scope (not inside its functions), with the first line creating it
+function scopeCreations(nodes, created = new Map()) {
+    (nodes || []).forEach((node) => {
+        if (node.type === "function_def") return;
+        const name = node[CREATED_FIELDS[node.type]];
+        [...loopNames(node), name].forEach((n) => {
+            if (n && !created.has(n)) created.set(n, node.line || 0);
+        });
+        childBlocks(node).forEach((block) => scopeCreations(block, created));
+    });
+    return created;
+}
+
+// Plural-aware count of arguments
+function argumentCount(count) {
+    return `${count} argument${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Check the statements of one scope in program order. A name is usable once
+ * a statement before it has created it; names created only later in the
+ * scope are reported as used too early, others as never created.
+ */
+function checkScope(nodes, scope, check) {
+    (nodes || []).forEach((node) => {
+        const line = node.line || 0;
+        readNames(node).forEach((name) => {
+            if (scope.defined.has(name) || check.reported.has(name)) return;
+            check.reported.add(name);
+            const later = scope.created.get(name);
+            check.diagnostics.push(later
+                ? { line, error: `Warning: "${name}" is used before it is created on line ${later}` }
+                : { line, error: `"${name}" is used but never created` });
+        });
+
+        if (node.type === "function_call") {
+            const params = check.functions.get(node.name);
+            const args = (node.args || []).length;
+            if (params === undefined) {
+                check.diagnostics.push({ line, error: `Function "${node.name}" is called but never defined` });
+            } else if (params !== args) {
+                check.diagnostics.push({ line, error: `Function "${node.name}" takes ${argumentCount(params)} but is called with ${args}` });
+            }
+        }
+
+        // Function bodies see their parameters and every name the program creates
+        if (node.type === "function_def") {
+            const defined = new Set([...check.globals, ...(node.params || [])]);
+            checkScope(node.body, { defined, created: scopeCreations(node.body) }, check);
+            return;
+        }
+
+        loopNames(node).forEach((name) => scope.defined.add(name));
+        childBlocks(node).forEach((block) => checkScope(block, scope, check));
+        const created = node[CREATED_FIELDS[node.type]];
+        if (created) scope.defined.add(created);
+    });
+}
+
+/**
+ * Check a parsed program for semantic problems.
+ * @param {Array} nodes - Array of AST nodes, with their input `line`s
+ * @returns {Array<{line: number, error: string}>} Errors and warnings, by line
+ */
+function checkProgram(nodes) {
+    if (!nodes || nodes.length === 0) return [];
+
+    const functions = new Map();
+    walkNodes(nodes, (node) => {
+        if (node.type === "function_def") functions.set(node.name, (node.params || []).length);
+    });
+    const created = scopeCreations(nodes);
+    const check = { functions, globals: [...created.keys()], reported: new Set(), diagnostics: [] };
+    checkScope(nodes, { defined: new Set(), created }, check);
+    return [...check.diagnostics, ...typeWarnings(nodes)].sort((a, b) => a.line - b.line);
+}
+
+export { checkProgram };
@@ -0,0 +1,960 @@
+/**
+ * Code Generation Core
+ * The language registry and everything the target languages share: type
+ * inference, the program context, expression and condition generation, and
+ * statement dispatch. Each target language is a backend in js/languages/.
+ */
+
+// ─── Language Registry ───
+
+const languages = new Map();
+
+// Fields every backend must supply, and their types
+const REQUIRED_FIELDS = {
+    emitters: "object",
+    expressions: "object",
+    operators: "object",
+    collectImports: "function",
+    wrapProgram: "function",
+    extension: "string",
+    highlight: "object",
+};
+
+// Expression types a backend must know how to write
+const REQUIRED_EXPRESSIONS = ["index", "length", "string_case", "substring", "join", "interpolation", "contains"];
+
+const DEFAULT_LITERALS = { true: "true", false: "false", null: "0" };
+
+/**
+ * Register a target language. A backend is a plain object:
+ *   - label: display name (defaults to the registered name)
+ *   - extension: file extension for downloads, without the dot
+ *   - highlight: syntax-highlighting patterns (keywords, builtins, types, strings,
+ *     comments, numbers, includes), each a global RegExp
+ *   - operators: target operator for every comparison (greater, less, equal,
+ *     not_equal, greater_equal, less_equal), logical (and, or, not) and
+ *     arithmetic (add, subtract, multiply, divide, modulus) operator
+ *   - literals: spellings of true, false and null (C-style by default)
+ *   - expressions: writers for index, length, string_case, substring, join,
+ *     interpolation and contains (plus an optional not_contains), each
+ *     called as (expr, lang, ctx)
+ *   - emitters: one writer per AST statement type, called as (node, lang, ctx)
+ *   - collectImports(nodes, ctx): the imports or includes a program needs
+ *   - wrapProgram(nodes, lang, ctx, imports): the complete program text
+ *   - indentUnit, emptyBlock: one level of indentation ("    ") and the body of
+ *     an empty block ("")
+ *   - looseMembership: contains binds like a comparison rather than a call
+ *   - looseNot: the negation operator binds looser than comparisons
+ *   - reservedWords: names a program cannot use in the target (its keywords and
+ *     the names generated code relies on); see renameReserved
+ *   - unsupported(nodes, ctx): a { line, error } for each part of a program the
+ *     target cannot express; see targetErrors
+ *   - operand(code, value, other, ctx): the code of an arithmetic or comparison
+ *     operand given the value on the other side (for targets that never mix
+ *     integers and floats); changed code must bind as tightly as a bare value
+ * Registering an existing name replaces that language.
+ * @param {string} name - Language id used by generate() and generateProgram()
+ * @param {object} backend - The language backend
+ */
+function registerLanguage(name, backend) {
+    if (!name || typeof name !== "string") throw new Error("registerLanguage: a language name is required");
+    Object.entries(REQUIRED_FIELDS).forEach(([field, type]) => {
+        if (!backend || typeof backend[field] !== type) {
+            throw new Error(`registerLanguage("${name}"): backend.${field} must be a ${type}`);
+        }
+    });
+    REQUIRED_EXPRESSIONS.forEach((type) => {
+        if (typeof backend.expressions[type] !== "function") {
+            throw new Error(`registerLanguage("${name}"): backend.expressions.${type} must be a function`);
+        }
+    });
+    languages.set(name, {
+        label: name,
+        indentUnit: "    ",
+        emptyBlock: "",
+        reservedWords: [],
+        ...backend,
+        literals: { ...DEFAULT_LITERALS, ...backend.literals },
+    });
+}
+
+/**
+ * Look up a registered language backend.
+ * @param {string} name - Language id
+ * @returns {object} The backend, with defaults filled in
+ */
+function getLanguage(name) {
+    const backend = languages.get(name);
+    if (!backend) throw new Error(`Unknown target language: ${name}`);
+    return backend;
+}
+
+// Ids of the registered languages, in registration order
+function languageNames() {
+    return [...languages.keys()];
+}
+
+// ─── Helpers ───
+
+function indent(code, level, lang) {
+    const prefix = getLanguage(lang).indentUnit.repeat(level);
+    return code
+        .split("\n")
+        .map((line) => (line.trim() ? prefix + line : line))
+        .join("\n");
+}
+
+// A braced block: `header {`, the indented body, `}`
+function braceBlock(header, body, lang) {
+    return `${header} {\n${indent(body, 1, lang)}\n}`;
+}
+
+function isNumeric(val) {
+    return /^-?\d+(\.\d+)?$/.test(val);
+}
+
+// Type of a value; with a context, plain variables are looked up in it
+function inferType(val, ctx) {
+    if (val === null || val === undefined) return "int";
+    if (typeof val === "object") return inferExpressionType(val, ctx);
+    if (val === "true" || val === "false") return "bool";
+    if (/^".*"$/.test(val)) return "string";
+    if (/^\d+\.\d+$/.test(val)) return "double";
+    if (/^\d+$/.test(val)) return "int";
+    if (ctx && ctx.varTypes.has(val)) return ctx.varTypes.get(val);
+    return "auto";
+}
+
+// Result type of a compound expression from its operand types
+function inferExpressionType(expr, ctx) {
+    if (expr.type === "length") return "int";
+    if (expr.type === "index") return (ctx && ctx.listTypes.get(expr.collection)) || "auto";
+    if (["join", "string_case", "substring"].includes(expr.type)) return "string";
+    const left = inferType(expr.left, ctx);
+    const right = inferType(expr.right, ctx);
+    if (expr.operator === "add" && (left === "string" || right === "string")) return "string";
+    if ([left, right].some((t) => t !== "int" && t !== "double")) return "auto";
+    return left === "double" || right === "double" ? "double" : "int";
+}
+
+// Common type of several values; mixed int/double widens to double
+function unifyTypes(types) {
+    const unique = [...new Set(types)];
+    if (unique.length === 1) return unique[0];
+    if (unique.length === 2 && unique.includes("int") && unique.includes("double")) return "double";
+    return "auto";
+}
+
+// Common element type of a list literal
+function listElementType(values) {
+    return unifyTypes((values || []).map((v) => inferType(v)));
+}
+
+// Operators shared by the C family (Java, C#, C++, Go, Rust)
+const C_OPERATORS = {
+    greater: ">",
+    less: "<",
+    equal: "==",
+    not_equal: "!=",
+    greater_equal: ">=",
+    less_equal: "<=",
+    and: "&&",
+    or: "||",
+    not: "!",
+    add: "+",
+    subtract: "-",
+    multiply: "*",
+    divide: "/",
+    modulus: "%",
+};
+
+// Binding strength of condition nodes, loosest first
+const CONDITION_PRECEDENCE = { logical_or: 1, logical_and: 2, not: 3, comparison: 4, truthy: 5 };
+
+function conditionPrecedence(cond, lang) {
+    if (cond.type === "logical") return CONDITION_PRECEDENCE[`logical_${cond.operator}`];
+    // Membership is usually a call, which binds as tightly as a bare value
+    if (cond.type === "contains") {
+        return getLanguage(lang).looseMembership ? CONDITION_PRECEDENCE.comparison : CONDITION_PRECEDENCE.truthy;
+    }
+    return CONDITION_PRECEDENCE[cond.type];
+}
+
+// Binding strength of arithmetic operators, loosest first
+const EXPRESSION_PRECEDENCE = { add: 1, subtract: 1, multiply: 2, divide: 2, modulus: 2 };
+
+/**
+ * Generate a value expression with the minimum parentheses.
+ * All targets share C-style arithmetic precedence; operators are
+ * left-associative, so a right operand of equal precedence keeps its parentheses.
+ */
+function generateExpr(expr, lang, ctx) {
+    const backend = getLanguage(lang);
+    if (!expr || typeof expr !== "object") {
+        return interpolationParts(expr) ? backend.expressions.interpolation(expr, lang, ctx) : formatValue(expr, lang);
+    }
+    if (expr.type !== "binary") return backend.expressions[expr.type](expr, lang, ctx);
+
+    const precedence = EXPRESSION_PRECEDENCE[expr.operator];
+    const wrap = (child, other, minPrecedence) => {
+        const code = generateExpr(child, lang, ctx);
+        const operand = operandCode(code, child, other, lang, ctx);
+        if (operand !== code) return operand;
+        const isCompound = child && typeof child === "object";
+        return isCompound && EXPRESSION_PRECEDENCE[child.operator] < minPrecedence ? `(${code})` : code;
+    };
+    return `${wrap(expr.left, expr.right, precedence)} ${backend.operators[expr.operator]} ${wrap(expr.right, expr.left, precedence + 1)}`;
+}
+
+// An operand as the backend writes it next to the other operand (see registerLanguage)
+function operandCode(code, value, other, lang, ctx) {
+    const backend = getLanguage(lang);
+    return backend.operand ? backend.operand(code, value, other, ctx) : code;
+}
+
+// Convert a 1-based English position into a 0-based target index
+function zeroBased(position, lang, ctx) {
+    return isNumeric(position)
+        ? String(Number(position) - 1)
+        : generateExpr({ type: "binary", operator: "subtract", left: position, right: "1" }, lang, ctx);
+}
+
+// Length of a 1-based inclusive substring, for targets that take a start and a length
+function substringLength(expr, start, lang, ctx) {
+    if (isNumeric(expr.start) && isNumeric(expr.end)) return String(Number(expr.end) - Number(expr.start) + 1);
+    if (start === "0") return generateExpr(expr.end, lang, ctx);
+    return generateExpr({ type: "binary", operator: "subtract", left: expr.end, right: start }, lang, ctx);
+}
+
+// Wrap an arithmetic operand so a method call applies to the whole expression
+function methodTarget(value, lang, ctx) {
+    const code = generateExpr(value, lang, ctx);
+    return value && value.type === "binary" ? `(${code})` : code;
+}
+
+/**
+ * Flatten groups of output segments, putting a separator between groups.
+ * A literal separator is folded into a neighbouring string literal
+ * ("Total:" + " " + x becomes "Total: " + x).
+ */
+function joinSegments(groups, separator) {
+    const out = [];
+    groups.forEach((group, i) => {
+        const segments = [...group];
+        if (i > 0) {
+            const prev = out[out.length - 1];
+            const sep = stringLiteralText(separator);
+            if (sep !== null && isStringLiteral(prev) && isStringLiteral(segments[0])) {
+                out[out.length - 1] = `"${prev.slice(1, -1)}${sep}${segments.shift().slice(1)}`;
+            } else if (sep !== null && isStringLiteral(prev)) {
+                out[out.length - 1] = `"${prev.slice(1, -1)}${sep}"`;
+            } else if (sep !== null && isStringLiteral(segments[0])) {
+                segments[0] = `"${sep}${segments[0].slice(1)}`;
+            } else {
+                out.push(separator);
+            }
+        }
+        out.push(...segments);
+    });
+    return out;
+}
+
+// Placeholders in string literals: "Hello, {name}!"
+const PLACEHOLDER = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+function isStringLiteral(code) {
+    return typeof code === "string" && /^"[^"]*"$/.test(code);
+}
+
+// Text inside a plain string literal, or null for anything else
+function stringLiteralText(value) {
+    return isStringLiteral(value) ? value.slice(1, -1) : null;
+}
+
+/**
+ * Split a string literal with {name} placeholders into text and variable parts.
+ * Returns null for values without placeholders.
+ */
+function interpolationParts(value) {
+    const text = stringLiteralText(value);
+    if (text === null || !new RegExp(PLACEHOLDER.source).test(text)) return null;
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(PLACEHOLDER)) {
+        if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+        parts.push({ name: match[1].toLowerCase() });
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) parts.push({ text: text.slice(last) });
+    return parts;
+}
+
+/**
+ * Template strings (Python f-strings, JavaScript template literals, C#
+ * interpolated strings) are described by { wrap(body), field(code), escape(text) }.
+ */
+function templateInterpolation(value, template) {
+    const parts = interpolationParts(value);
+    return template.wrap(parts.map((p) => (p.name ? template.field(p.name) : template.escape(p.text))).join(""));
+}
+
+// A string join as one template string, so parts of any type work
+function templateJoin(expr, template, lang, ctx) {
+    const field = (part) => {
+        // An interpolated literal contributes its own fields
+        const placeholders = interpolationParts(part);
+        if (placeholders) return placeholders.map((p) => (p.name ? template.field(p.name) : template.escape(p.text))).join("");
+        const literal = stringLiteralText(part);
+        return literal !== null ? template.escape(literal) : template.field(generateExpr(part, lang, ctx));
+    };
+    return template.wrap(expr.parts.map(field).join(field(expr.separator)));
+}
+
+/**
+ * Split a value into format string pieces: literal text, and code to fill a slot.
+ * Plain variable names and collections are marked, for formats that capture
+ * names inline or print collections differently.
+ */
+function formatPieces(value, lang, ctx) {
+    if (value && value.type === "join") {
+        const separator = formatPieces(value.separator, lang, ctx);
+        return value.parts.flatMap((part, i) => [...(i > 0 ? separator : []), ...formatPieces(part, lang, ctx)]);
+    }
+    const isCollection = (name) => ctx.listTypes.has(name) || ctx.mapTypes.has(name);
+    const parts = interpolationParts(value);
+    if (parts) return parts.map((p) => (p.name ? { code: p.name, variable: true, debug: isCollection(p.name) } : { text: p.text }));
+    const text = stringLiteralText(value);
+    if (text !== null) return [{ text }];
+    const variable = typeof value === "string" && /^[a-z_][a-z0-9_]*$/.test(value) && inferType(value) === "auto";
+    return [{ code: generateExpr(value, lang, ctx), variable, debug: variable && isCollection(value) }];
+}
+
+/**
+ * Format string and arguments of a printf-style call, without the call itself.
+ * A format is described by { call, escape(text), slot(piece) } and may
+ * capture a piece inline with inline(piece), returning null to use a slot.
+ */
+function formatArguments(pieces, format) {
+    let text = "";
+    const args = [];
+    pieces.forEach((piece) => {
+        if (piece.text !== undefined) {
+            text += format.escape(piece.text);
+            return;
+        }
+        const inline = format.inline ? format.inline(piece) : null;
+        if (inline) {
+            text += inline;
+        } else {
+            text += format.slot(piece);
+            args.push(piece.code);
+        }
+    });
+    return [`"${text}"`, ...args].join(", ");
+}
+
+function formatCall(pieces, format) {
+    return `${format.call}(${formatArguments(pieces, format)})`;
+}
+
+/**
+ * Generate a condition tree, adding parentheses only where precedence requires.
+ */
+function generateCondition(cond, lang, ctx) {
+    const backend = getLanguage(lang);
+    const wrap = (child, minPrecedence) => {
+        const code = generateCondition(child, lang, ctx);
+        return conditionPrecedence(child, lang) < minPrecedence ? `(${code})` : code;
+    };
+
+    switch (cond.type) {
+        case "logical": {
+            const prec = conditionPrecedence(cond, lang);
+            return `${wrap(cond.left, prec)} ${backend.operators[cond.operator]} ${wrap(cond.right, prec + 1)}`;
+        }
+        case "not": {
+            if (cond.operand.type === "contains" && backend.expressions.not_contains) {
+                return backend.expressions.not_contains(cond.operand, lang, ctx);
+            }
+            // `!` must wrap comparisons too, while `not` only wraps and/or
+            const minPrecedence = backend.looseNot ? CONDITION_PRECEDENCE.not : CONDITION_PRECEDENCE.truthy;
+            const operand = cond.operand.type === "not" ? generateCondition(cond.operand, lang, ctx) : wrap(cond.operand, minPrecedence);
+            return `${backend.operators.not}${operand}`;
+        }
+        case "truthy":
+            return generateExpr(cond.value, lang, ctx);
+        case "contains":
+            return backend.expressions.contains(cond, lang, ctx);
+        default: {
+            const left = operandCode(generateExpr(cond.left, lang, ctx), cond.left, cond.right, lang, ctx);
+            const right = operandCode(generateExpr(cond.right, lang, ctx), cond.right, cond.left, lang, ctx);
+            return `${left} ${backend.operators[cond.operator]} ${right}`;
+        }
+    }
+}
+
+/**
+ * Generate a list of body statements, one per line.
+ * Empty bodies become the backend's empty block (`pass` in Python).
+ */
+function generateBlock(nodes, lang, ctx) {
+    const lines = (nodes || []).map((node) => generate(node, lang, ctx)).filter((line) => line);
+    if (lines.length === 0) return getLanguage(lang).emptyBlock;
+    return lines.join("\n");
+}
+
+/**
+ * Check whether any node in a (nested) list satisfies the predicate.
+ */
+function someNode(nodes, predicate) {
+    return (nodes || []).some(
+        (node) => predicate(node) || childBlocks(node).some((block) => someNode(block, predicate))
+    );
+}
+
+/**
+ * Statement lists nested directly inside a node.
+ */
+function childBlocks(node) {
+    const elseIfBodies = (node.elseIfs || []).map((branch) => branch.body);
+    return [node.body, node.thenBody, ...elseIfBodies, node.elseBody].filter(Array.isArray);
+}
+
+/**
+ * Visit every node in a (nested) list, parents before children.
+ */
+function walkNodes(nodes, visit) {
+    (nodes || []).forEach((node) => {
+        visit(node);
+        childBlocks(node).forEach((block) => walkNodes(block, visit));
+    });
+}
+
+// Check whether any value nested anywhere inside the nodes satisfies the predicate
+function someValue(value, predicate) {
+    if (value === null || value === undefined) return false;
+    if (typeof value !== "object") return predicate(value);
+    if (Array.isArray(value)) return value.some((v) => someValue(v, predicate));
+    return predicate(value) || Object.values(value).some((v) => someValue(v, predicate));
+}
+
+// Check whether any part of a condition tree satisfies the predicate
+function someCondition(cond, predicate) {
+    if (!cond) return false;
+    return predicate(cond) || [cond.left, cond.right, cond.operand].some((c) => c && c.type && someCondition(c, predicate));
+}
+
+// ─── Program Context ───
+
+// Statement types that store into a variable, and the field naming it
+const STORING_NODES = {
+    variable_creation: "name",
+    list_creation: "name",
+    map_creation: "name",
+    assignment: "name",
+    arithmetic: "result",
+    increment: "variable",
+    decrement: "variable",
+    input: "variable",
+    map_get: "result",
+};
+
+// Statements that modify a variable in place, and the field naming it
+const MUTATING_NODES = { append: "list", sort: "list", remove: "collection", map_put: "map", input: "variable" };
+
+// Statements that declare the name they store into
+const CREATING_NODES = ["variable_creation", "list_creation", "map_creation"];
+
+// Stores that can double as a declaration in languages that declare by first store
+const DECLARING_STORES = ["assignment", "arithmetic", "input", "map_get"];
+
+// Type of the value a storing statement writes
+function storedType(node, ctx) {
+    switch (node.type) {
+        case "variable_creation":
+        case "assignment":
+            return inferType(node.value, ctx);
+        case "arithmetic":
+            return inferType({ type: "binary", operator: node.operator, left: node.left, right: node.right }, ctx);
+        case "input":
+            return ctx.inputTypes.get(node.variable) || "string";
+        case "map_get":
+            return (ctx.mapTypes.get(node.map) || { value: "auto" }).value;
+        default:
+            return "auto";
+    }
+}
+
+/**
+ * Visit the statements of one scope, parents before children, without
+ * entering function bodies.
+ */
+function walkScope(nodes, visit) {
+    (nodes || []).forEach((node) => {
+        visit(node);
+        if (node.type !== "function_def") childBlocks(node).forEach((block) => walkScope(block, visit));
+    });
+}
+
+// Names a scope declares explicitly: created variables and loop variables
+function scopeDeclarations(nodes) {
+    const names = new Set();
+    walkScope(nodes, (node) => {
+        if (CREATING_NODES.includes(node.type)) names.add(node.name);
+        if (node.type === "for_loop" || node.type === "for_each") names.add(node.variable);
+        if (node.type === "for_each_entry") [node.key, node.value].forEach((v) => names.add(v));
+    });
+    return names;
+}
+
+/**
+ * Find the stores into undeclared names of a scope. The first store declares
+ * the name when it is a statement of the scope itself; a name first stored in
+ * a nested block is returned, to be declared at the top of the scope.
+ */
+function findImplicitDeclarations(scope, declared, ctx) {
+    const hoisted = new Map();
+    walkScope(scope, (node) => {
+        const name = node[STORING_NODES[node.type]];
+        if (!name || declared.has(name)) return;
+        declared.add(name);
+        const type = ctx.varTypes.get(name) || "auto";
+        if (scope.includes(node) && DECLARING_STORES.includes(node.type)) ctx.implicitDeclarations.set(node, type);
+        else hoisted.set(name, type);
+    });
+    return hoisted;
+}
+
+// Type of a name from the operands it meets in some statements (another untyped
+// operand counts as a whole number); "auto" when it is never an operand
+function operandType(name, nodes, ctx) {
+    const others = [];
+    const note = (left, right) => {
+        if (left === name) others.push(inferType(right, ctx));
+        if (right === name) others.push(inferType(left, ctx));
+    };
+    walkNodes(nodes, (node) => {
+        if (node.type === "arithmetic") note(node.left, node.right);
+        if ((node.type === "increment" || node.type === "decrement") && node.variable === name) others.push(inferType(node.amount, ctx));
+        someValue(node, (value) => {
+            if (value.type === "binary" || value.type === "comparison") note(value.left, value.right);
+            return false;
+        });
+    });
+    return others.length === 0 ? "auto" : unifyTypes(others.map((type) => (type === "auto" ? "int" : type)));
+}
+
+// Names a statement reads: all of its names outside its child blocks, except the one it stores to
+function readNames(node) {
+    const names = [];
+    const { [STORING_NODES[node.type]]: target, body, thenBody, elseBody, elseIfs, ...fields } = node;
+    const conditions = (elseIfs || []).map((branch) => branch.condition);
+    mapNames([fields, conditions], (name) => {
+        names.push(name);
+        return name;
+    });
+    return names;
+}
+
+// Whether any statement in a (nested) list reads the name
+function readsName(nodes, name) {
+    let reads = false;
+    walkNodes(nodes, (node) => {
+        if (readNames(node).includes(name)) reads = true;
+    });
+    return reads;
+}
+
+/**
+ * Build the program-wide generation context: the symbol table of variable types
+ * (with the stores that change a variable's type), element types of lists
+ * (from their values and appends, with the lists that mix types), key/value
+ * types of maps, parameter types of functions (from their call sites), which
+ * names are stored more than once or modified in place, which names are ever
+ * read, which inputs are read as numbers, and where names that are only ever stored into get declared (see
+ * findImplicitDeclarations).
+ */
+function createContext(nodes) {
+    const ctx = {
+        varTypes: new Map(),
+        listTypes: new Map(),
+        mapTypes: new Map(),
+        paramTypes: new Map(),
+        reassigned: new Set(),
+        mutated: new Set(),
+        implicitDeclarations: new Map(),
+        hoisted: new Map(),
+        functionHoisted: new Map(),
+        typeChanges: [],
+        mixedLists: [],
+        listElementTypes: new Map(),
+        read: new Set(),
+        inputTypes: new Map(),
+    };
+    const storeCounts = new Map();
+    const callArgs = new Map();
+    const listEntries = new Map();
+    const mapEntries = new Map();
+    const entriesOf = (name) => {
+        if (!mapEntries.has(name)) mapEntries.set(name, { keys: [], values: [] });
+        return mapEntries.get(name);
+    };
+    walkNodes(nodes, (node) => {
+        const target = node[STORING_NODES[node.type]];
+        if (target) storeCounts.set(target, (storeCounts.get(target) || 0) + 1);
+        readNames(node).forEach((name) => ctx.read.add(name));
+        if (MUTATING_NODES[node.type]) ctx.mutated.add(node[MUTATING_NODES[node.type]]);
+        if (node.type === "list_creation") {
+            ctx.listTypes.set(node.name, listElementType(node.values));
+            listEntries.set(node.name, node.values.map((value) => ({ value, line: node.line })));
+        }
+        if (node.type === "append" && listEntries.has(node.list)) listEntries.get(node.list).push({ value: node.value, line: node.line });
+        if (node.type === "map_creation") entriesOf(node.name);
+        if (node.type === "map_put") {
+            entriesOf(node.map).keys.push(node.key);
+            entriesOf(node.map).values.push(node.value);
+        }
+        if (node.type === "function_call") {
+            if (!callArgs.has(node.name)) callArgs.set(node.name, []);
+            callArgs.get(node.name).push(node.args || []);
+        }
+    });
+    storeCounts.forEach((count, name) => {
+        if (count > 1) ctx.reassigned.add(name);
+    });
+
+    // Key and value types of each map, from the entries put into it
+    mapEntries.forEach(({ keys, values }, name) => {
+        ctx.mapTypes.set(name, { key: listElementType(keys), value: listElementType(values) });
+    });
+
+    // Variable types in program order, so later stores can build on earlier ones.
+    // A variable keeps the type of its first store, widened from int to double
+    // when needed (also by a later pass); a store of any other type is a type change.
+    const inferVariableTypes = () => {
+        const stored = new Set();
+        ctx.typeChanges = [];
+        walkNodes(nodes, (node) => {
+            if (node.type === "for_loop") ctx.varTypes.set(node.variable, "int");
+            if (node.type === "for_each") ctx.varTypes.set(node.variable, ctx.listTypes.get(node.iterable) || "auto");
+            const field = STORING_NODES[node.type];
+            if (!field || node.type === "list_creation" || node.type === "map_creation") return;
+            const name = node[field];
+            const type = storedType(node, ctx);
+            const current = ctx.varTypes.get(name);
+            const widened = unifyTypes([current, type]);
+            if (!current || current === "auto") {
+                if (type !== "auto" || !current) ctx.varTypes.set(name, type);
+            } else if (type === "auto" || type === current) {
+                // Nothing new to record
+            } else if (widened !== "auto") {
+                ctx.varTypes.set(name, widened);
+            } else if (stored.has(name)) {
+                ctx.typeChanges.push({ name, from: current, to: type, line: node.line });
+            } else {
+                // First store of this pass: the previous pass's type belonged to a later store
+                ctx.varTypes.set(name, type);
+            }
+            stored.add(name);
+        });
+    };
+    // Element types of lists from their literal values and everything appended
+    // to them; a value no common type covers makes the list mixed. Every type a
+    // list holds is kept too, for targets that can declare a union of them.
+    const inferListTypes = () => {
+        ctx.mixedLists = [];
+        listEntries.forEach((entries, name) => {
+            let type = null;
+            const held = new Set();
+            for (const { value, line } of entries) {
+                const next = inferType(value, ctx);
+                held.add(next);
+                if (type === "auto") continue;
+                const unified = type ? unifyTypes([type, next]) : next;
+                if (unified === "auto" && type && next !== "auto") ctx.mixedLists.push({ name, from: type, to: next, line });
+                type = unified;
+            }
+            ctx.listTypes.set(name, type || "auto");
+            ctx.listElementTypes.set(name, [...held]);
+        });
+    };
+
+    inferVariableTypes();
+    inferListTypes();
+
+    // Input is text, unless the program computes or compares it with numbers;
+    // a number read from input is stored rather than filled in place
+    walkNodes(nodes, (node) => {
+        if (node.type !== "input") return;
+        const type = operandType(node.variable, nodes, ctx);
+        if (type !== "int" && type !== "double") return;
+        ctx.inputTypes.set(node.variable, type);
+        ctx.mutated.delete(node.variable);
+    });
+
+    // Parameter types as declared, otherwise from the arguments passed at every
+    // call site, otherwise from the values the body computes or compares them with;
+    // variables computed from parameters are typed again once those are known
+    walkNodes(nodes, (node) => {
+        if (node.type !== "function_def") return;
+        const calls = callArgs.get(node.name) || [];
+        const declared = node.paramTypes || [];
+        const types = (node.params || []).map((p, i) => {
+            const type = declared[i] || unifyTypes(calls.map((args) => inferType(args[i], ctx)));
+            return type === "auto" ? operandType(p, node.body, ctx) : type;
+        });
+        ctx.paramTypes.set(node.name, types);
+        (node.params || []).forEach((p, i) => {
+            if (!ctx.varTypes.has(p)) ctx.varTypes.set(p, types[i]);
+        });
+    });
+    inferVariableTypes();
+    inferListTypes();
+
+    // Function bodies see the program's explicit declarations and their own
+    const globals = scopeDeclarations(nodes);
+    ctx.hoisted = findImplicitDeclarations(nodes, new Set(globals), ctx);
+    walkScope(nodes, (node) => {
+        if (node.type !== "function_def") return;
+        const locals = new Set([...globals, ...(node.params || []), ...scopeDeclarations(node.body)]);
+        ctx.functionHoisted.set(node, findImplicitDeclarations(node.body, locals, ctx));
+    });
+    return ctx;
+}
+
+// Value types as they are named in messages
+const TYPE_NAMES = { int: "a whole number", double: "a decimal number", string: "text", bool: "true/false" };
+
+/**
+ * Warnings for the stores that change a variable's type and the lists that
+ * mix element types. Typed languages give a variable or list a single type,
+ * so the generated code will not compile.
+ * @param {Array} nodes - Array of AST nodes
+ * @returns {Array<{line: number, error: string}>}
+ */
+function typeWarnings(nodes) {
+    const ctx = createContext(nodes);
+    const changes = ctx.typeChanges.map(({ name, from, to, line }) => ({
+        line: line || 0,
+        error: `Warning: "${name}" changes from ${TYPE_NAMES[from]} to ${TYPE_NAMES[to]}; typed languages keep it ${TYPE_NAMES[from]}`,
+    }));
+    const mixed = ctx.mixedLists.map(({ name, from, to, line }) => ({
+        line: line || 0,
+        error: `Warning: list "${name}" mixes ${TYPE_NAMES[from]} and ${TYPE_NAMES[to]}; typed languages need a single element type`,
+    }));
+    return [...changes, ...mixed].sort((a, b) => a.line - b.line);
+}
+
+// What a named collection holds: "map", "string" or (by default) "list"
+function collectionKind(name, ctx) {
+    if (ctx && ctx.mapTypes.has(name)) return "map";
+    if (ctx && ctx.varTypes.get(name) === "string") return "string";
+    return "list";
+}
+
+// Key and value types of a map, "auto" when unknown
+function mapTypesOf(name, ctx) {
+    return ctx.mapTypes.get(name) || { key: "auto", value: "auto" };
+}
+
+/**
+ * Parameter and return types of a function definition. Declared types win;
+ * otherwise parameters come from the arguments at its call sites and the
+ * return type from its return statements ("void" when none returns a value).
+ */
+function functionSignature(node, ctx) {
+    const paramTypes = ctx.paramTypes.get(node.name) || [];
+    const params = (node.params || []).map((name, i) => ({ name, type: paramTypes[i] || "auto" }));
+    if (node.returns) return { params, returns: node.returns };
+    const returned = [];
+    walkNodes(node.body, (n) => {
+        if (n.type === "return") returned.push(n.value ? inferType(n.value, ctx) : "void");
+    });
+    const returns = returned.every((t) => t === "void") ? "void" : unifyTypes(returned);
+    return { params, returns };
+}
+
+function formatValue(val, lang) {
+    const literals = getLanguage(lang).literals;
+    if (val === null || val === undefined) return literals.null;
+    if (val === "true") return literals.true;
+    if (val === "false") return literals.false;
+    return val;
+}
+
+// Function definitions and the remaining top-level statements of a program
+function splitFunctions(nodes) {
+    return {
+        functions: nodes.filter((n) => n.type === "function_def"),
+        statements: nodes.filter((n) => n.type !== "function_def"),
+    };
+}
+
+// Counter names for nested counted (repeat N times) loops
+const REPEAT_COUNTERS = ["i", "j", "k"];
+
+/**
+ * Counter of a counted loop and the context for its body; nested counted
+ * loops need distinct counters in the C-style languages.
+ */
+function repeatCounter(ctx) {
+    const depth = ctx.repeatDepth || 0;
+    return { counter: REPEAT_COUNTERS[depth] || `i${depth + 1}`, bodyCtx: { ...ctx, repeatDepth: depth + 1 } };
+}
+
+/**
+ * A flat "if / else if / else" ladder of braced blocks. Conditions are
+ * parenthesized unless the language writes them bare (Go, Rust).
+ */
+function braceIfStatement(node, lang, ctx, { parenthesize = true } = {}) {
+    const header = (keyword, cond) => `${keyword} ${parenthesize ? `(${cond})` : cond}`;
+    let code = braceBlock(header("if", generateCondition(node.condition, lang, ctx)), generateBlock(node.thenBody, lang, ctx), lang);
+    (node.elseIfs || []).forEach((branch) => {
+        code += ` ${braceBlock(header("else if", generateCondition(branch.condition, lang, ctx)), generateBlock(branch.body, lang, ctx), lang)}`;
+    });
+    const elseCode = node.elseBody && node.elseBody.length > 0 ? generateBlock(node.elseBody, lang, ctx) : null;
+    if (elseCode) code += ` ${braceBlock("else", elseCode, lang)}`;
+    return code;
+}
+
+// ─── Reserved Words ───
+
+// AST fields that never hold a program's names
+const NON_NAME_FIELDS = new Set(["type", "operator", "mode", "text", "line", "paramTypes", "returns"]);
+
+const IDENTIFIER = /^[a-z_]\w*$/i;
+
+// Copy an AST value, mapping every name in it: statement fields, expression
+// operands and {placeholders} in string literals
+function mapNames(value, rename) {
+    if (Array.isArray(value)) return value.map((v) => mapNames(v, rename));
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, NON_NAME_FIELDS.has(key) ? v : mapNames(v, rename)]));
+    }
+    if (typeof value !== "string" || value === "true" || value === "false") return value;
+    if (IDENTIFIER.test(value)) return rename(value);
+    return interpolationParts(value) ? value.replace(PLACEHOLDER, (match, name) => `{${rename(name.toLowerCase())}}`) : value;
+}
+
+/**
+ * Rename the names of a program that are reserved in the target language by
+ * appending underscores (class → class_), skipping names the program already uses.
+ * @param {Array} nodes - Array of AST nodes
+ * @param {string} lang - A registered language id
+ * @returns {{ nodes: Array, renamed: Array<{name: string, renamed: string, line: number}> }}
+ *   The renamed copy of the nodes and each renamed name with the first line using it
+ */
+function renameReserved(nodes, lang) {
+    const reserved = new Set(getLanguage(lang).reservedWords);
+    const used = new Map();
+    (nodes || []).forEach((node) => {
+        mapNames(node, (name) => {
+            if (!used.has(name)) used.set(name, node.line || 0);
+            return name;
+        });
+    });
+
+    const renames = new Map();
+    const renamed = [];
+    used.forEach((line, name) => {
+        if (!reserved.has(name)) return;
+        let safe = `${name}_`;
+        while (used.has(safe) || reserved.has(safe) || [...renames.values()].includes(safe)) safe += "_";
+        renames.set(name, safe);
+        renamed.push({ name, renamed: safe, line });
+    });
+    if (renames.size === 0) return { nodes, renamed };
+    return { nodes: mapNames(nodes, (name) => renames.get(name) || name), renamed };
+}
+
+/**
+ * A notice listing the names renamed because they are reserved in the target
+ * language, on the first line using one of them (none when nothing is renamed).
+ * @param {Array} nodes - Array of AST nodes
+ * @param {string} lang - A registered language id
+ * @returns {Array<{line: number, error: string}>}
+ */
+function renameNotices(nodes, lang) {
+    const { renamed } = renameReserved(nodes, lang);
+    if (renamed.length === 0) return [];
+    const list = renamed.map((r) => `${r.name} → ${r.renamed}`).join(", ");
+    return [{ line: Math.min(...renamed.map((r) => r.line)), error: `Note: renamed names reserved in ${getLanguage(lang).label}: ${list}` }];
+}
+
+/**
+ * Errors for the parts of a program the target language cannot express, from
+ * the backend's optional `unsupported(nodes, ctx)`. Code is not generated for
+ * a program with any of them.
+ * @param {Array} nodes - Array of AST nodes
+ * @param {string} lang - A registered language id
+ * @returns {Array<{line: number, error: string}>}
+ */
+function targetErrors(nodes, lang) {
+    const backend = getLanguage(lang);
+    if (!backend.unsupported || !nodes || nodes.length === 0) return [];
+    const program = renameReserved(nodes, lang).nodes;
+    return backend.unsupported(program, createContext(program)).sort((a, b) => a.line - b.line);
+}
+
+// ─── Statement Dispatch ───
+
+/**
+ * Generate code from an AST node for the specified language.
+ * @param {object} node - AST node from the parser
+ * @param {string} lang - A registered language id (see registerLanguage)
+ * @param {object} [ctx] - Program context from createContext (defaults to the node alone)
+ * @returns {string} Generated code
+ */
+function generate(node, lang, ctx) {
+    if (!node || !node.type) return "";
+    const emit = getLanguage(lang).emitters[node.type];
+    if (!emit) return `/* Unsupported node type: ${node.type} */`;
+    return emit(node, lang, ctx || createContext([node]));
+}
+
+export {
+    registerLanguage,
+    getLanguage,
+    languageNames,
+    indent,
+    braceBlock,
+    isNumeric,
+    inferType,
+    unifyTypes,
+    listElementType,
+    C_OPERATORS,
+    generateExpr,
+    zeroBased,
+    substringLength,
+    methodTarget,
+    joinSegments,
+    isStringLiteral,
+    stringLiteralText,
+    interpolationParts,
+    templateInterpolation,
+    templateJoin,
+    formatPieces,
+    formatArguments,
+    formatCall,
+    generateCondition,
+    generateBlock,
+    someNode,
+    childBlocks,
+    walkNodes,
+    readsName,
+    someValue,
+    someCondition,
+    createContext,
+    typeWarnings,
+    renameReserved,
+    renameNotices,
+    targetErrors,
+    TYPE_NAMES,
+    collectionKind,
+    mapTypesOf,
+    functionSignature,
+    splitFunctions,
+    repeatCounter,
+    braceIfStatement,
+    generate,
+};
@@ -3,12 +3,18 @@
  * Defines patterns that the parser uses to match tokenized input
  * and extract structured AST nodes.
  *
- * Each rule has:
- *   - name: AST node type
+ * Rules are written in the pattern language of patterns.js. Each rule has:
+ *   - name: the rule's name (usually the AST node type it builds)
+ *   - pattern: the command, e.g. "sort {list:id}", with captures of the kinds below
+ *   - build(captures): optional, turns the captures into the AST node
+ *   - overrides: optional, later rules it deliberately wins over
+ * and gets, once defined:
+ *   - usage: the pattern in plain English, used to suggest corrections
  *   - match(tokens): function that checks if tokens match, returns AST node or null
  */
 
 import { TokenType } from "./tokenizer.js";
+import { shape, defineRule } from "./patterns.js";
 
 // Helper: check if a token matches a specific keyword
 function isKw(token, value) {
@@ -31,6 +37,11 @@ function isValue(token) {
     );
 }
 
+// Helper: check if token is a specific parenthesis
+function isParen(token, value) {
+    return token && token.type === TokenType.PAREN && token.value === value;
+}
+
 // Helper: get the raw value of a token for code generation
 function val(token) {
     if (!token) return undefined;
@@ -39,432 +50,594 @@ function val(token) {
 }
 
 /**
- * All grammar rules, ordered by specificity (most specific first).
+ * Binding strength of arithmetic operators in value expressions.
  */
-const GRAMMAR_RULES = [
-    // ───── COMMENT ─────
-    // comment <text...>
-    {
-        name: "comment",
-        match(tokens) {
-            if (tokens.length >= 2 && isKw(tokens[0], "comment")) {
-                const text = tokens
-                    .slice(1)
-                    .map((t) => t.value)
-                    .join(" ");
-                return { type: "comment", text };
-            }
-            return null;
-        },
-    },
+const EXPRESSION_PRECEDENCE = { add: 1, subtract: 1, multiply: 2, divide: 2, modulus: 2 };
 
-    // ───── LIST CREATION ─────
-    // create list <name> values <v1> <v2> ...
-    {
-        name: "list_creation",
-        match(tokens) {
-            if (tokens.length >= 4 && isKw(tokens[0], "create") && isKw(tokens[1], "list")) {
-                const name = tokens[2];
-                if (!isId(name)) return null;
-                let values = [];
-                let startIdx = 3;
-                // skip optional "value" keyword
-                if (tokens[startIdx] && isKw(tokens[startIdx], "value")) startIdx++;
-                for (let i = startIdx; i < tokens.length; i++) {
-                    if (isValue(tokens[i])) {
-                        values.push(val(tokens[i]));
-                    }
-                }
-                return { type: "list_creation", name: name.value, values };
-            }
-            return null;
-        },
-    },
+// Helper: check if token is an arithmetic operator keyword
+function isArithOp(token) {
+    return token && token.type === TokenType.KEYWORD && EXPRESSION_PRECEDENCE[token.value] !== undefined;
+}
 
-    // ───── APPEND ─────
-    // append <value> to <list>
-    {
-        name: "append",
-        match(tokens) {
-            if (tokens.length >= 4 && isKw(tokens[0], "append")) {
-                const value = tokens[1];
-                if (!isValue(value)) return null;
-                // find "to"
-                let listToken = null;
-                for (let i = 2; i < tokens.length; i++) {
-                    if (isKw(tokens[i], "to") && i + 1 < tokens.length) {
-                        listToken = tokens[i + 1];
-                        break;
-                    }
-                }
-                if (!listToken || !isId(listToken)) return null;
-                return { type: "append", list: listToken.value, value: val(value) };
-            }
-            return null;
-        },
-    },
+/**
+ * Parse an arithmetic value expression starting at given index.
+ * Operands are values or parenthesized expressions; operators are
+ * add/subtract/multiply/divide/modulus with the usual precedence, left-associative.
+ * A single operand stays a plain value string (as produced by val());
+ * compound expressions are { type: "binary", operator, left, right },
+ * { type: "index", collection, position }, { type: "length", collection },
+ * { type: "string_case", mode, value } or { type: "substring", value, start, end }.
+ * Returns { expr, nextIndex } or null.
+ */
+function parseExpression(tokens, startIdx, minPrecedence = 1) {
+    let parsed = parseOperand(tokens, startIdx);
+    if (!parsed) return null;
+
+    while (isArithOp(tokens[parsed.nextIndex])) {
+        const operator = tokens[parsed.nextIndex].value;
+        const precedence = EXPRESSION_PRECEDENCE[operator];
+        if (precedence < minPrecedence) break;
+        const right = parseExpression(tokens, parsed.nextIndex + 1, precedence + 1);
+        if (!right) break;
+        parsed = {
+            expr: { type: "binary", operator, left: parsed.expr, right: right.expr },
+            nextIndex: right.nextIndex,
+        };
+    }
+    return parsed;
+}
 
-    // ───── FUNCTION DEFINITION ─────
-    // define function <name> [parameter/parameters <p1> <p2>...] do <body...>
-    {
-        name: "function_def",
-        match(tokens) {
-            if (
-                tokens.length >= 4 &&
-                isKw(tokens[0], "define") &&
-                isKw(tokens[1], "function")
-            ) {
-                const nameToken = tokens[2];
-                if (!isId(nameToken)) return null;
-                const name = nameToken.value;
-
-                let params = [];
-                let bodyStart = 3;
-
-                // Check for parameters
-                if (tokens[bodyStart] && (isKw(tokens[bodyStart], "parameter") || isKw(tokens[bodyStart], "parameters"))) {
-                    bodyStart++;
-                    while (bodyStart < tokens.length && isId(tokens[bodyStart]) && !isKw(tokens[bodyStart], "do")) {
-                        params.push(tokens[bodyStart].value);
-                        bodyStart++;
-                    }
-                }
+// Helper: check if token is one of the given plain words (identifiers, not keywords)
+function isWord(token, ...words) {
+    return isId(token) && words.includes(token.value);
+}
 
-                // Skip "do" if present
-                if (tokens[bodyStart] && isKw(tokens[bodyStart], "do")) bodyStart++;
+/**
+ * Type names usable in function signatures, mapped to inferred value types.
+ */
+const TYPE_WORDS = {
+    number: "double",
+    decimal: "double",
+    integer: "int",
+    text: "string",
+    string: "string",
+    boolean: "bool",
+};
+
+// Words introducing a function's return type
+const RETURNS_WORDS = ["returning", "returns"];
+
+// Helper: check if token names a type
+function isTypeWord(token) {
+    return isId(token) && Object.hasOwn(TYPE_WORDS, token.value);
+}
 
-                // Remaining tokens are the body (as raw tokens to re-parse)
-                const bodyTokens = tokens.slice(bodyStart);
-                return { type: "function_def", name, params, bodyTokens };
-            }
-            return null;
-        },
-    },
+// Parse a single value, a parenthesized expression, a list access or a string operation
+function parseOperand(tokens, startIdx) {
+    if (isParen(tokens[startIdx], "(")) {
+        const inner = parseExpression(tokens, startIdx + 1);
+        if (!inner || !isParen(tokens[inner.nextIndex], ")")) return null;
+        return { expr: inner.expr, nextIndex: inner.nextIndex + 1 };
+    }
 
-    // ───── FUNCTION CALL ─────
-    // call <name> [with <arg1> <arg2>...]
-    {
-        name: "function_call",
-        match(tokens) {
-            if (tokens.length >= 2 && isKw(tokens[0], "call")) {
-                const nameToken = tokens[1];
-                if (!isId(nameToken)) return null;
-                let args = [];
-                let startIdx = 2;
-                // skip "with" if present
-                if (tokens[startIdx] && isKw(tokens[startIdx], "value")) startIdx++;
-                for (let i = startIdx; i < tokens.length; i++) {
-                    if (isValue(tokens[i])) {
-                        args.push(val(tokens[i]));
-                    }
-                }
-                return { type: "function_call", name: nameToken.value, args };
+    // "item <position> of <list>" — positions are 1-based, as in English
+    // ("of" is normalized to "value")
+    if (isWord(tokens[startIdx], "item", "element")) {
+        const position = parseExpression(tokens, startIdx + 1);
+        if (position) {
+            const of = tokens[position.nextIndex];
+            const list = tokens[position.nextIndex + 1];
+            if ((isKw(of, "value") || isKw(of, "from") || isKw(of, "in")) && isId(list)) {
+                return {
+                    expr: { type: "index", collection: list.value, position: position.expr },
+                    nextIndex: position.nextIndex + 2,
+                };
             }
-            return null;
+        }
+    }
+
+    // "length of <list>" / "size of <list>"
+    if (isWord(tokens[startIdx], "length", "size") && isKw(tokens[startIdx + 1], "value") && isId(tokens[startIdx + 2])) {
+        return { expr: { type: "length", collection: tokens[startIdx + 2].value }, nextIndex: startIdx + 3 };
+    }
+
+    // "uppercase [of] <value>" / "lowercase [of] <value>"
+    if (isWord(tokens[startIdx], "uppercase", "lowercase")) {
+        const valueIdx = isKw(tokens[startIdx + 1], "value") ? startIdx + 2 : startIdx + 1;
+        const value = parseOperand(tokens, valueIdx);
+        if (value) {
+            const mode = tokens[startIdx].value === "uppercase" ? "upper" : "lower";
+            return { expr: { type: "string_case", mode, value: value.expr }, nextIndex: value.nextIndex };
+        }
+    }
+
+    // "substring of <value> from <start> to <end>" — 1-based, both ends inclusive
+    if (isWord(tokens[startIdx], "substring") && isKw(tokens[startIdx + 1], "value")) {
+        const value = parseOperand(tokens, startIdx + 2);
+        const start = value && isKw(tokens[value.nextIndex], "from") && parseExpression(tokens, value.nextIndex + 1);
+        const end = start && isKw(tokens[start.nextIndex], "to") && parseExpression(tokens, start.nextIndex + 1);
+        if (end) {
+            return {
+                expr: { type: "substring", value: value.expr, start: start.expr, end: end.expr },
+                nextIndex: end.nextIndex,
+            };
+        }
+    }
+    if (!isValue(tokens[startIdx])) return null;
+    return { expr: val(tokens[startIdx]), nextIndex: startIdx + 1 };
+}
+
+// Parse every expression in tokens[startIdx..], skipping words that cannot start one
+function parseExpressionList(tokens, startIdx) {
+    const exprs = [];
+    let i = startIdx;
+    while (i < tokens.length) {
+        const parsed = parseExpression(tokens, i);
+        if (parsed) {
+            exprs.push(parsed.expr);
+            i = parsed.nextIndex;
+        } else {
+            i++;
+        }
+    }
+    return exprs;
+}
+
+// ─── Capture Kinds ───
+// What a {name:kind} capture reads, and the shape of the tokens it can read
+// (for the ambiguity checks; nested expressions are approximated one level deep)
+
+const ANY = shape.token(() => true);
+const ANY_TOKENS = shape.many(ANY);
+const ID = shape.token(isId);
+const PAREN_GROUP = shape.seq(
+    shape.token((t) => isParen(t, "(")),
+    shape.many(shape.token((t) => t.type !== TokenType.PAREN)),
+    shape.token((t) => isParen(t, ")")),
+);
+const SIMPLE_OPERAND = shape.alt(shape.token(isValue), PAREN_GROUP);
+const SIMPLE_EXPR = shape.seq(SIMPLE_OPERAND, shape.many(shape.seq(shape.token(isArithOp), SIMPLE_OPERAND)));
+const ACCESS = shape.alt(
+    shape.seq(shape.word("item", "element"), SIMPLE_EXPR, shape.word("value", "from", "in"), ID),
+    shape.seq(shape.word("length", "size"), shape.word("value"), ID),
+    shape.seq(shape.word("uppercase", "lowercase"), shape.optional(shape.word("value")), SIMPLE_OPERAND),
+    shape.seq(shape.word("substring"), shape.word("value"), SIMPLE_OPERAND, shape.word("from"), SIMPLE_EXPR, shape.word("to"), SIMPLE_EXPR),
+);
+const OPERAND = shape.alt(SIMPLE_OPERAND, ACCESS);
+const EXPR = shape.seq(OPERAND, shape.many(shape.seq(shape.token(isArithOp), OPERAND)));
+
+// Helper: adapt a { expr | condition, nextIndex } parse result to a capture read
+function captured(parsed, field = "expr") {
+    return parsed && { value: parsed[field], nextIndex: parsed.nextIndex };
+}
+
+// Helper: read the rest of the command
+function readRest(value) {
+    return (tokens, i) => ({ value: value(tokens.slice(i), tokens, i), nextIndex: tokens.length });
+}
+
+const CAPTURE_KINDS = {
+    // A single identifier
+    id: {
+        read: (tokens, i) => (isId(tokens[i]) ? { value: tokens[i].value, nextIndex: i + 1 } : null),
+        shape: ID,
+    },
+    // A type name, as its inferred value type
+    type: {
+        read: (tokens, i) => (isTypeWord(tokens[i]) ? { value: TYPE_WORDS[tokens[i].value], nextIndex: i + 1 } : null),
+        shape: shape.token(isTypeWord, ...Object.keys(TYPE_WORDS)),
+    },
+    // An arithmetic value expression (see parseExpression)
+    expr: { read: (tokens, i) => captured(parseExpression(tokens, i)), shape: EXPR },
+    // A single operand of an expression
+    operand: { read: (tokens, i) => captured(parseOperand(tokens, i)), shape: OPERAND },
+    // An expression reading from a collection or string: item/length/uppercase/substring ...
+    access: {
+        read(tokens, i) {
+            const parsed = parseExpression(tokens, i);
+            if (!parsed || typeof parsed.expr !== "object" || parsed.expr.type === "binary") return null;
+            return captured(parsed);
         },
+        shape: ACCESS,
     },
-
-    // ───── RETURN ─────
-    // return <value>
-    {
-        name: "return",
-        match(tokens) {
-            if (tokens.length >= 1 && isKw(tokens[0], "return")) {
-                if (tokens.length >= 2 && isValue(tokens[1])) {
-                    return { type: "return", value: val(tokens[1]) };
-                }
-                return { type: "return", value: null };
-            }
-            return null;
+    // A condition (see parseCondition)
+    cond: { read: (tokens, i) => captured(parseCondition(tokens, i), "condition"), shape: shape.seq(ANY, ANY_TOKENS) },
+    // Two or more expressions joined by "and"
+    parts: {
+        read(tokens, i) {
+            const parts = [];
+            let next = i - 1;
+            do {
+                const part = parseExpression(tokens, next + 1);
+                if (!part) return null;
+                parts.push(part.expr);
+                next = part.nextIndex;
+            } while (isKw(tokens[next], "and"));
+            return parts.length < 2 ? null : { value: parts, nextIndex: next };
         },
+        shape: shape.seq(EXPR, shape.word("and"), EXPR, shape.many(shape.seq(shape.word("and"), EXPR))),
     },
-
-    // ───── FOR LOOP ─────
-    // for <var> from <start> to <end> [by <step>] do <body...>
-    {
-        name: "for_loop",
-        match(tokens) {
-            if (tokens.length >= 6 && isKw(tokens[0], "for")) {
-                const varToken = tokens[1];
-                if (!isId(varToken)) return null;
-
-                let fromVal = null,
-                    toVal = null,
-                    stepVal = null;
-                let bodyStart = -1;
-
-                for (let i = 2; i < tokens.length; i++) {
-                    if (isKw(tokens[i], "from") && i + 1 < tokens.length) {
-                        fromVal = val(tokens[i + 1]);
-                        i++;
-                    } else if (isKw(tokens[i], "to") && i + 1 < tokens.length) {
-                        toVal = val(tokens[i + 1]);
-                        i++;
-                    } else if (isKw(tokens[i], "by") && i + 1 < tokens.length) {
-                        stepVal = val(tokens[i + 1]);
-                        i++;
-                    } else if (isKw(tokens[i], "do")) {
-                        bodyStart = i + 1;
-                        break;
-                    }
+    // Function parameters, each optionally preceded by a type: { names, types }
+    params: {
+        read(tokens, i) {
+            const names = [];
+            const types = [];
+            while (i < tokens.length && !isKw(tokens[i], "do") && !isWord(tokens[i], ...RETURNS_WORDS)) {
+                if (isKw(tokens[i], "and")) {
+                    i++;
+                    continue;
                 }
-
-                if (fromVal === null || toVal === null) return null;
-                const bodyTokens = bodyStart >= 0 ? tokens.slice(bodyStart) : [];
-                return {
-                    type: "for_loop",
-                    variable: varToken.value,
-                    from: fromVal,
-                    to: toVal,
-                    step: stepVal,
-                    bodyTokens,
-                };
+                const typed = isTypeWord(tokens[i]) && isId(tokens[i + 1]) && !isWord(tokens[i + 1], ...RETURNS_WORDS);
+                const param = typed ? tokens[i + 1] : tokens[i];
+                if (!isId(param)) break;
+                names.push(param.value);
+                types.push(typed ? TYPE_WORDS[tokens[i].value] : null);
+                i += typed ? 2 : 1;
             }
-            return null;
+            return { value: { names, types }, nextIndex: i };
         },
+        shape: shape.many(shape.alt(ID, shape.word("and"))),
     },
+    // The rest of the command as the tokens of a one-line body
+    stmt: { read: readRest((rest) => rest), shape: ANY_TOKENS, rest: true },
+    // The rest of the command as text
+    text: {
+        read: (tokens, i) => (i < tokens.length ? readRest((rest) => rest.map((t) => t.value).join(" "))(tokens, i) : null),
+        shape: shape.seq(ANY, ANY_TOKENS),
+        rest: true,
+    },
+    // Every expression in the rest of the command, skipping words that cannot start one
+    values: { read: readRest((rest, tokens, i) => parseExpressionList(tokens, i)), shape: ANY_TOKENS, rest: true },
+    // Every plain value in the rest of the command
+    items: { read: readRest((rest) => rest.filter(isValue).map(val)), shape: ANY_TOKENS, rest: true },
+    // The branches of an if statement: { thenTokens, elseIfs, elseTokens }
+    branches: { read: (tokens, i) => readBranches(tokens, i), shape: ANY_TOKENS, rest: true },
+};
+
+// Split the rest of an if statement on every "else" into its branches
+function readBranches(tokens, start) {
+    const segments = [[]];
+    for (let i = start; i < tokens.length; i++) {
+        if (isKw(tokens[i], "else")) segments.push([]);
+        else segments[segments.length - 1].push(tokens[i]);
+    }
 
-    // ───── WHILE LOOP ─────
-    // while <left> <comparison> <right> do <body...>
-    {
-        name: "while_loop",
-        match(tokens) {
-            if (tokens.length >= 5 && isKw(tokens[0], "while")) {
-                const parsed = parseCondition(tokens, 1);
-                if (!parsed) return null;
+    const elseIfs = [];
+    let elseTokens = [];
+    for (let i = 1; i < segments.length; i++) {
+        const segment = segments[i];
+        if (isKw(segment[0], "if")) {
+            const branch = parseCondition(segment, 1);
+            if (!branch) return null;
+            let bodyStart = branch.nextIndex;
+            if (segment[bodyStart] && isKw(segment[bodyStart], "then")) bodyStart++;
+            elseIfs.push({ condition: branch.condition, bodyTokens: segment.slice(bodyStart) });
+        } else {
+            // A plain "else" must be the last branch
+            if (i !== segments.length - 1) return null;
+            elseTokens = segment;
+        }
+    }
+    return { value: { thenTokens: segments[0], elseIfs, elseTokens }, nextIndex: tokens.length };
+}
 
-                let bodyStart = parsed.nextIndex;
-                if (tokens[bodyStart] && isKw(tokens[bodyStart], "do")) bodyStart++;
+// Rules are written in the pattern language of patterns.js, with these capture kinds
+function rule(spec) {
+    return defineRule(spec, CAPTURE_KINDS);
+}
 
-                const bodyTokens = tokens.slice(bodyStart);
-                return {
-                    type: "while_loop",
-                    condition: parsed.condition,
-                    bodyTokens,
-                };
-            }
-            return null;
-        },
-    },
+// Helper: the value of a variable name, for in-place updates
+function isName(value) {
+    return typeof value === "string" && /^[a-z_]\w*$/i.test(value) && value !== "true" && value !== "false";
+}
 
-    // ───── IF-ELSE / IF ─────
-    // if <left> <comparison> <right> then <body...> [else <body...>]
-    {
-        name: "if_statement",
-        match(tokens) {
-            if (tokens.length >= 4 && isKw(tokens[0], "if")) {
-                const parsed = parseCondition(tokens, 1);
-                if (!parsed) return null;
-
-                let thenStart = parsed.nextIndex;
-                if (tokens[thenStart] && isKw(tokens[thenStart], "then")) thenStart++;
-
-                // Find "else" to split body
-                let elseIndex = -1;
-                for (let i = thenStart; i < tokens.length; i++) {
-                    if (isKw(tokens[i], "else")) {
-                        elseIndex = i;
-                        break;
-                    }
-                }
+/**
+ * All grammar rules, in matching order. checkGrammar (patterns.js) verifies
+ * that no command matches two rules unless the first declares it overrides
+ * the second.
+ */
+const GRAMMAR_RULES = [
+    rule({
+        name: "comment",
+        pattern: "comment {text:text}",
+    }),
 
-                let thenTokens, elseTokens;
-                if (elseIndex >= 0) {
-                    thenTokens = tokens.slice(thenStart, elseIndex);
-                    elseTokens = tokens.slice(elseIndex + 1);
-                } else {
-                    thenTokens = tokens.slice(thenStart);
-                    elseTokens = [];
-                }
+    rule({
+        name: "list_creation",
+        pattern: "create list {name:id} [[values] {values:items}]",
+        build: ({ name, values = [] }) => ({ type: "list_creation", name, values }),
+    }),
 
-                return {
-                    type: "if_statement",
-                    condition: parsed.condition,
-                    thenTokens,
-                    elseTokens,
-                };
-            }
-            return null;
+    rule({
+        name: "append",
+        pattern: "append {value:expr} to {list:id}",
+        build: ({ value, list }) => ({ type: "append", list, value }),
+    }),
+
+    rule({
+        name: "map_creation",
+        pattern: "create map {name:id}",
+    }),
+
+    // "key" is an ordinary word, so it is a key itself unless another follows
+    rule({
+        name: "map_put",
+        pattern: "put [key] {key:expr} with {value:expr} in|to {map:id}",
+        build: ({ key, value, map }) => ({ type: "map_put", map, key, value }),
+    }),
+
+    rule({
+        name: "sort",
+        pattern: "sort {list:id}",
+    }),
+
+    rule({
+        name: "remove",
+        pattern: "remove {item:expr} from {collection:id}",
+        build: ({ item, collection }) => ({ type: "remove", collection, item }),
+    }),
+
+    // Declared types are recorded only when the definition names any
+    rule({
+        name: "function_def",
+        pattern: "create|define function {name:id} [with|parameter|parameters {parameters:params}] [returning|returns {type:type}] [[do] {body:stmt}]",
+        build({ name, parameters = { names: [], types: [] }, type, body = [] }) {
+            const node = { type: "function_def", name, params: parameters.names, bodyTokens: body };
+            if (parameters.types.some((t) => t)) node.paramTypes = parameters.types;
+            if (type) node.returns = type;
+            return node;
         },
-    },
+    }),
 
-    // ───── ARITHMETIC ─────
-    // add/subtract/multiply/divide <a> and <b> store in <result>
-    {
-        name: "arithmetic",
-        match(tokens) {
-            const ops = ["add", "subtract", "multiply", "divide", "modulus"];
-            if (tokens.length >= 4 && tokens[0].type === TokenType.KEYWORD && ops.includes(tokens[0].value)) {
-                const op = tokens[0].value;
-                let a = null, b = null, result = null;
-
-                if (isValue(tokens[1])) a = val(tokens[1]);
-                // find "and" or second value
-                for (let i = 2; i < tokens.length; i++) {
-                    if (isKw(tokens[i], "and") && i + 1 < tokens.length && isValue(tokens[i + 1])) {
-                        b = val(tokens[i + 1]);
-                        i++;
-                    } else if (b === null && isValue(tokens[i]) && !isKw(tokens[i], "store") && !isKw(tokens[i], "in")) {
-                        b = val(tokens[i]);
-                    } else if (isKw(tokens[i], "store") || isKw(tokens[i], "in")) {
-                        // next identifier is the result
-                        for (let j = i + 1; j < tokens.length; j++) {
-                            if (isKw(tokens[j], "in")) continue;
-                            if (isId(tokens[j])) {
-                                result = tokens[j].value;
-                                break;
-                            }
-                        }
-                        break;
-                    }
-                }
+    rule({
+        name: "function_call",
+        pattern: "call {name:id} [[with] {args:values}]",
+        build: ({ name, args = [] }) => ({ type: "function_call", name, args }),
+    }),
 
-                if (a === null || b === null) return null;
-                return { type: "arithmetic", operator: op, left: a, right: b, result };
-            }
-            return null;
-        },
-    },
+    rule({
+        name: "return",
+        pattern: "return [{value:expr}]",
+        build: ({ value = null }) => ({ type: "return", value }),
+    }),
+
+    rule({
+        name: "for_each_entry",
+        pattern: "for [each] {key:id} [and] {value:id} in {map:id} [[do] {body:stmt}]",
+        build: ({ key, value, map, body = [] }) => ({ type: "for_each_entry", key, value, map, bodyTokens: body }),
+    }),
+
+    rule({
+        name: "for_each",
+        pattern: "for [each] {item:id} in {list:id} [[do] {body:stmt}]",
+        build: ({ item, list, body = [] }) => ({ type: "for_each", variable: item, iterable: list, bodyTokens: body }),
+    }),
+
+    // "up to" makes the end inclusive
+    rule({
+        name: "for_loop",
+        pattern: "for {variable:id} from {start:expr} {bound:to|up_to} {end:expr} [by {step:expr}] [[do] {body:stmt}]",
+        build: ({ variable, start, bound, end, step = null, body = [] }) => ({
+            type: "for_loop",
+            variable,
+            from: start,
+            to: end,
+            step,
+            inclusive: bound === "less_equal",
+            bodyTokens: body,
+        }),
+    }),
+
+    // Counted before conditional, since "repeat 3 times" is also a condition
+    rule({
+        name: "repeat_loop",
+        pattern: "repeat {count:expr} times [[do] {body:stmt}]",
+        build: ({ count, body = [] }) => ({ type: "repeat_loop", count, bodyTokens: body }),
+        overrides: ["while_loop"],
+    }),
+
+    rule({
+        name: "while_loop",
+        pattern: "while|repeat {condition:cond} [[do] {body:stmt}]",
+        build: ({ condition, body = [] }) => ({ type: "while_loop", condition, bodyTokens: body }),
+    }),
 
-    // ───── INCREMENT ─────
-    // increment <var> [by <val>]
-    {
+    rule({
+        name: "if_statement",
+        pattern: "if {condition:cond} [[then] {body:branches}]",
+        build: ({ condition, body = { thenTokens: [], elseIfs: [], elseTokens: [] } }) => ({ type: "if_statement", condition, ...body }),
+    }),
+
+    // Only valid inside a loop body; "break out of the loop" is still a break
+    rule({
+        name: "loop_control",
+        pattern: "{control:break|continue} [{remark:text}]",
+        build: ({ control }) => ({ type: control }),
+    }),
+
+    // Without a result variable the node is just the expression
+    rule({
+        name: "arithmetic",
+        pattern: "{operator:add|subtract|multiply|divide|modulus} {left:expr} [and|to|from|by] {right:expr} [[store] in|to {result:id}]",
+        build: ({ operator, left, right, result = null }) => ({ type: "arithmetic", operator, left, right, result }),
+    }),
+
+    rule({
         name: "increment",
-        match(tokens) {
-            if (tokens.length >= 2 && isKw(tokens[0], "increment")) {
-                const varToken = tokens[1];
-                if (!isId(varToken)) return null;
-                let amount = "1";
-                if (tokens.length >= 4 && isKw(tokens[2], "by") && isValue(tokens[3])) {
-                    amount = val(tokens[3]);
-                }
-                return { type: "increment", variable: varToken.value, amount };
-            }
-            return null;
-        },
-    },
+        pattern: "increment {variable:id} [by {amount:expr}]",
+        build: ({ variable, amount = "1" }) => ({ type: "increment", variable, amount }),
+    }),
 
-    // ───── DECREMENT ─────
-    // decrement <var> [by <val>]
-    {
+    rule({
         name: "decrement",
-        match(tokens) {
-            if (tokens.length >= 2 && isKw(tokens[0], "decrement")) {
-                const varToken = tokens[1];
-                if (!isId(varToken)) return null;
-                let amount = "1";
-                if (tokens.length >= 4 && isKw(tokens[2], "by") && isValue(tokens[3])) {
-                    amount = val(tokens[3]);
-                }
-                return { type: "decrement", variable: varToken.value, amount };
-            }
-            return null;
+        pattern: "decrement {variable:id} [by {amount:expr}]",
+        build: ({ variable, amount = "1" }) => ({ type: "decrement", variable, amount }),
+    }),
+
+    // Without a destination the value is printed
+    rule({
+        name: "value_get",
+        pattern: "get {value:access} [[store] in|to {variable:id}]",
+        build: ({ value, variable }) => (variable ? { type: "assignment", name: variable, value } : { type: "print", values: [value] }),
+    }),
+
+    // Parts are separated by a single space unless a separator is given
+    rule({
+        name: "string_join",
+        pattern: "join {parts:parts} [with {separator:expr}] [store] in|to {variable:id}",
+        build: ({ parts, separator = '" "', variable }) => ({ type: "assignment", name: variable, value: { type: "join", parts, separator } }),
+    }),
+
+    // Without a destination the variable is converted in place
+    rule({
+        name: "string_case",
+        pattern: "{mode:uppercase|lowercase} [of] {value:operand} [[store] in|to {variable:id}]",
+        build({ mode, value, variable }) {
+            const name = variable || (isName(value) ? value : null);
+            if (!name) return null;
+            return { type: "assignment", name, value: { type: "string_case", mode: mode === "uppercase" ? "upper" : "lower", value } };
         },
-    },
+    }),
+
+    rule({
+        name: "map_get",
+        pattern: "get {key:expr} from {map:id} [store] in|to {result:id}",
+        build: ({ key, map, result }) => ({ type: "map_get", map, key, result }),
+    }),
 
-    // ───── INPUT ─────
-    // input <var>
-    {
+    rule({
         name: "input",
-        match(tokens) {
-            if (tokens.length >= 2 && isKw(tokens[0], "input")) {
-                const varToken = tokens[1];
-                if (!isId(varToken)) return null;
-                return { type: "input", variable: varToken.value };
-            }
-            return null;
-        },
-    },
+        pattern: "input {variable:id}",
+    }),
 
-    // ───── VARIABLE CREATION ─────
-    // create [variable] <name> value <value>
-    {
+    // No value creates the variable with null/default
+    rule({
         name: "variable_creation",
-        match(tokens) {
-            if (tokens.length >= 3 && isKw(tokens[0], "create")) {
-                let idx = 1;
-                // skip optional "variable" keyword
-                if (isKw(tokens[idx], "variable")) idx++;
-                const nameToken = tokens[idx];
-                if (!isId(nameToken)) return null;
-                idx++;
-                // skip optional "value" keyword
-                if (tokens[idx] && isKw(tokens[idx], "value")) idx++;
-                if (tokens[idx] && isValue(tokens[idx])) {
-                    return {
-                        type: "variable_creation",
-                        name: nameToken.value,
-                        value: val(tokens[idx]),
-                    };
-                }
-                // No value given, create with null/default
-                return { type: "variable_creation", name: nameToken.value, value: null };
-            }
-            return null;
-        },
-    },
+        pattern: "create [variable] {name:id} [value] [{value:expr}]",
+        build: ({ name, value = null }) => ({ type: "variable_creation", name, value }),
+    }),
 
-    // ───── ASSIGNMENT ─────
-    // set <var> [to/value] <value>
-    {
+    rule({
         name: "assignment",
-        match(tokens) {
-            if (tokens.length >= 3 && isKw(tokens[0], "set")) {
-                const varToken = tokens[1];
-                if (!isId(varToken)) return null;
-                let idx = 2;
-                // skip "to" or "value"
-                if (tokens[idx] && (isKw(tokens[idx], "to") || isKw(tokens[idx], "value"))) idx++;
-                if (tokens[idx] && isValue(tokens[idx])) {
-                    return {
-                        type: "assignment",
-                        name: varToken.value,
-                        value: val(tokens[idx]),
-                    };
-                }
-                return null;
-            }
-            return null;
-        },
-    },
+        pattern: "set {variable:id} [to|as] {value:expr}",
+        build: ({ variable, value }) => ({ type: "assignment", name: variable, value }),
+    }),
 
-    // ───── PRINT ─────
-    // print <value> [<value>...]
-    {
+    rule({
         name: "print",
-        match(tokens) {
-            if (tokens.length >= 2 && isKw(tokens[0], "print")) {
-                const values = [];
-                for (let i = 1; i < tokens.length; i++) {
-                    if (isValue(tokens[i])) {
-                        values.push(val(tokens[i]));
-                    }
-                }
-                if (values.length === 0) return null;
-                return { type: "print", values };
-            }
-            return null;
-        },
-    },
+        pattern: "print {values:values}",
+        build: ({ values }) => (values.length > 0 ? { type: "print", values } : null),
+    }),
 ];
 
 /**
  * Parse a condition from tokens starting at given index.
- * Handles: <left> greater/less [than] <right>, <left> equal_to <right>, <left> not equal_to <right>
- * Returns { condition: { left, operator, right }, nextIndex } or null.
+ * Grammar (lowest to highest precedence):
+ *   condition  := andChain (or andChain)*
+ *   andChain   := notTerm (and notTerm)*
+ *   notTerm    := not notTerm | ( condition ) | comparison | membership | <expr>
+ *   comparison := <left> greater/less [than] <right> | <left> equal_to <right>
+ *               | <left> greater_equal/less_equal <right>
+ *               | <left> not equal_to <right> | <left> value [to] <right>
+ *   (<left> and <right> are arithmetic expressions, see parseExpression)
+ *   membership := <collection> contains <item> | <item> in <collection>
+ * Returns { condition, nextIndex } or null. Condition nodes are
+ *   { type: "comparison", left, operator, right }
+ *   { type: "logical", operator: "and" | "or", left, right }
+ *   { type: "not", operand }
+ *   { type: "truthy", value }  (a variable or boolean standing alone)
+ *   { type: "contains", collection, item }
  */
 function parseCondition(tokens, startIdx) {
     let i = startIdx;
-    if (!isValue(tokens[i])) return null;
-    const left = val(tokens[i]);
-    i++;
+    // "either x ... or y ..." / "both x ... and y ..." leave a leading connective
+    if (isKw(tokens[i], "or") || isKw(tokens[i], "and")) i++;
+    return parseLogical(tokens, i, "or");
+}
 
+// Parse a left-associative chain of "or" (or "and") operands
+function parseLogical(tokens, startIdx, operator) {
+    const parseOperand = operator === "or"
+        ? (idx) => parseLogical(tokens, idx, "and")
+        : (idx) => parseNot(tokens, idx);
+
+    let parsed = parseOperand(startIdx);
+    if (!parsed) return null;
+
+    while (isKw(tokens[parsed.nextIndex], operator)) {
+        const right = parseOperand(parsed.nextIndex + 1);
+        if (!right) break;
+        parsed = {
+            condition: { type: "logical", operator, left: parsed.condition, right: right.condition },
+            nextIndex: right.nextIndex,
+        };
+    }
+    return parsed;
+}
+
+// Parse "not <term>", a parenthesized condition, a comparison or a bare expression
+function parseNot(tokens, startIdx) {
+    let i = startIdx;
+    if (isKw(tokens[i], "not")) {
+        const operand = parseNot(tokens, i + 1);
+        if (!operand) return null;
+        return { condition: { type: "not", operand: operand.condition }, nextIndex: operand.nextIndex };
+    }
+
+    // "(" groups a condition unless the group is really an arithmetic operand,
+    // as in "(x plus 1) times 2 greater than 5"
+    if (isParen(tokens[i], "(")) {
+        const inner = parseCondition(tokens, i + 1);
+        if (inner && isParen(tokens[inner.nextIndex], ")")) {
+            const after = tokens[inner.nextIndex + 1];
+            if (!isArithOp(after) && !parseComparisonOp(tokens, inner.nextIndex + 1)) {
+                return { condition: inner.condition, nextIndex: inner.nextIndex + 1 };
+            }
+        }
+    }
+
+    const left = parseExpression(tokens, i);
+    if (!left) return null;
+    i = left.nextIndex;
+
+    // "<collection> contains <item>" / "<item> in <collection>"
+    if (isKw(tokens[i], "contains") || isKw(tokens[i], "in")) {
+        const other = parseExpression(tokens, i + 1);
+        if (!other) return null;
+        const inForm = isKw(tokens[i], "in");
+        const collection = inForm ? other.expr : left.expr;
+        const item = inForm ? left.expr : other.expr;
+        if (typeof collection !== "string" || !/^[a-z_]\w*$/i.test(collection)) return null;
+        return { condition: { type: "contains", collection, item }, nextIndex: other.nextIndex };
+    }
+
+    const op = parseComparisonOp(tokens, i);
+    if (!op) {
+        // Only a variable or a boolean stands alone; "while 3" is a mistake, not a loop forever
+        if (typeof left.expr !== "string" || !/^[a-z_]\w*$/i.test(left.expr)) return null;
+        return { condition: { type: "truthy", value: left.expr }, nextIndex: i };
+    }
+    i = op.nextIndex;
+
+    const right = parseExpression(tokens, i);
+    if (!right) return null;
+
+    return {
+        condition: { type: "comparison", left: left.expr, operator: op.operator, right: right.expr },
+        nextIndex: right.nextIndex,
+    };
+}
+
+// Parse a comparison operator phrase; returns { operator, nextIndex } or null
+function parseComparisonOp(tokens, startIdx) {
+    let i = startIdx;
     let operator = null;
 
     // "not equal_to" or "not_equal"
-    if (isKw(tokens[i], "not") && tokens[i + 1] && isKw(tokens[i + 1], "equal_to")) {
+    if (isKw(tokens[i], "not") && tokens[i + 1] && (isKw(tokens[i + 1], "equal_to") || isKw(tokens[i + 1], "value"))) {
         operator = "not_equal";
         i += 2;
+        if (tokens[i] && isKw(tokens[i], "to")) i++;
     } else if (isKw(tokens[i], "not_equal")) {
         operator = "not_equal";
         i++;
@@ -478,18 +651,23 @@ function parseCondition(tokens, startIdx) {
         operator = "less";
         i++;
         if (tokens[i] && isKw(tokens[i], "than")) i++;
+    } else if (isKw(tokens[i], "greater_equal") || isKw(tokens[i], "less_equal")) {
+        // "at least", "no more than", "greater than or equal to", ...
+        operator = tokens[i].value;
+        i++;
     } else if (isKw(tokens[i], "equal_to")) {
         operator = "equal";
         i++;
+    } else if (isKw(tokens[i], "value")) {
+        // "equal" / "equals" are normalized to "value" by the synonym table
+        operator = "equal";
+        i++;
+        if (tokens[i] && isKw(tokens[i], "to")) i++;
     } else {
         return null;
     }
 
-    if (!tokens[i] || !isValue(tokens[i])) return null;
-    const right = val(tokens[i]);
-    i++;
-
-    return { condition: { left, operator, right }, nextIndex: i };
+    return { operator, nextIndex: i };
 }
 
-export { GRAMMAR_RULES, parseCondition };
+export { GRAMMAR_RULES, parseCondition, parseExpression };
@@ -0,0 +1,267 @@
+/**
+ * C++ Backend
+ * Programs are wrapped in main(), after the includes and any string helpers
+ * they use.
+ */
+
+import {
+    C_OPERATORS,
+    indent,
+    braceBlock,
+    inferType,
+    generateExpr,
+    zeroBased,
+    substringLength,
+    methodTarget,
+    joinSegments,
+    isStringLiteral,
+    interpolationParts,
+    generateCondition,
+    generateBlock,
+    someNode,
+    someValue,
+    someCondition,
+    collectionKind,
+    mapTypesOf,
+    TYPE_NAMES,
+    functionSignature,
+    splitFunctions,
+    repeatCounter,
+    braceIfStatement,
+    generate,
+} from "../codegen.js";
+
+const CPP_TYPES = { int: "int", double: "double", string: "std::string", bool: "bool", auto: "auto" };
+// Initial values for variables declared ahead of their first store; strings start empty
+const CPP_DEFAULTS = { int: "0", double: "0.0", bool: "false" };
+
+// C++ has no built-in case conversion for std::string, so programs get small helpers
+const CPP_STRING_HELPERS = {
+    upper: "std::string to_upper(std::string s) {\n    std::transform(s.begin(), s.end(), s.begin(), ::toupper);\n    return s;\n}",
+    lower: "std::string to_lower(std::string s) {\n    std::transform(s.begin(), s.end(), s.begin(), ::tolower);\n    return s;\n}",
+};
+
+// Store a value, declaring the variable on its first store (see createContext)
+function store(node, name, code, ctx) {
+    if (!ctx.implicitDeclarations.has(node)) return `${name} = ${code};`;
+    return `${CPP_TYPES[ctx.implicitDeclarations.get(node)]} ${name} = ${code};`;
+}
+
+// Declaration of a name first stored inside a nested block; unknown types default to std::string
+function hoistedDeclaration(name, type) {
+    return CPP_DEFAULTS[type] ? `${CPP_TYPES[type]} ${name} = ${CPP_DEFAULTS[type]};` : `std::string ${name};`;
+}
+
+// Declarations for the names first stored inside nested blocks of a scope
+function hoistedDeclarations(hoisted) {
+    return [...(hoisted || [])].map(([name, type]) => hoistedDeclaration(name, type));
+}
+
+// C++ declaration types of a map's key and value; unknown types default to std::string
+function cppMapTypes(ctx, name) {
+    const types = mapTypesOf(name, ctx);
+    const cpp = (t) => (t === "auto" ? "std::string" : CPP_TYPES[t]);
+    return `${cpp(types.key)}, ${cpp(types.value)}`;
+}
+
+// A concatenation operand: arithmetic is parenthesized and numbers are converted
+function concatOperand(value, lang, ctx) {
+    if (["int", "double"].includes(inferType(value, ctx))) {
+        return `std::to_string(${generateExpr(value, lang, ctx)})`;
+    }
+    return methodTarget(value, lang, ctx);
+}
+
+// Join concatenation segments; at least one of the first two must be a std::string
+function concatenate(segments) {
+    if (segments.length > 1 && isStringLiteral(segments[0]) && isStringLiteral(segments[1])) {
+        segments = [`std::string(${segments[0]})`, ...segments.slice(1)];
+    }
+    return segments.join(" + ");
+}
+
+// Output segments for streaming a value with std::cout
+function streamSegments(value, lang, ctx) {
+    const parts = interpolationParts(value);
+    if (!parts) return [generateExpr(value, lang, ctx)];
+    return parts.map((p) => (p.name ? p.name : `"${p.text}"`));
+}
+
+// Whether a node or any condition it tests uses <algorithm>
+function needsAlgorithm(node, ctx) {
+    if (node.type === "sort") return true;
+    if (node.type === "remove") return !ctx.mapTypes.has(node.collection);
+    if (someValue(node, (v) => v.type === "string_case")) return true;
+    const conditions = [node.condition, ...(node.elseIfs || []).map((b) => b.condition)];
+    return conditions.some((cond) => someCondition(cond, (c) => c.type === "contains" && collectionKind(c.collection, ctx) === "list"));
+}
+
+// String helpers a program calls, in a fixed order
+function stringHelpers(nodes) {
+    return ["upper", "lower"].filter((mode) => someValue(nodes, (v) => v.type === "string_case" && v.mode === mode));
+}
+
+// Keywords, and the names generated code declares
+const CPP_RESERVED = [
+    "alignas", "alignof", "and", "and_eq", "asm", "auto", "bitand", "bitor", "bool",
+    "break", "case", "catch", "char", "char8_t", "char16_t", "char32_t", "class", "compl",
+    "concept", "const", "consteval", "constexpr", "constinit", "const_cast", "continue",
+    "co_await", "co_return", "co_yield", "decltype", "default", "delete", "do", "double",
+    "dynamic_cast", "else", "enum", "explicit", "export", "extern", "false", "float", "for",
+    "friend", "goto", "if", "inline", "int", "long", "mutable", "namespace", "new",
+    "noexcept", "not", "not_eq", "nullptr", "operator", "or", "or_eq", "private",
+    "protected", "public", "register", "reinterpret_cast", "requires", "return", "short",
+    "signed", "sizeof", "static", "static_assert", "static_cast", "struct", "switch",
+    "template", "this", "thread_local", "throw", "true", "try", "typedef", "typeid",
+    "typename", "union", "unsigned", "using", "virtual", "void", "volatile", "wchar_t",
+    "while", "xor", "xor_eq", "main", "std", "to_lower", "to_upper",
+];
+
+const cpp = {
+    label: "C++",
+    extension: "cpp",
+    operators: C_OPERATORS,
+    reservedWords: CPP_RESERVED,
+    looseMembership: true,
+
+    expressions: {
+        index: (expr, lang, ctx) => `${expr.collection}[${zeroBased(expr.position, lang, ctx)}]`,
+        length: (expr, lang, ctx) => `${expr.collection}.${collectionKind(expr.collection, ctx) === "string" ? "length()" : "size()"}`,
+        // Provided by the CPP_STRING_HELPERS emitted with the program
+        string_case: (expr, lang, ctx) => `${expr.mode === "upper" ? "to_upper" : "to_lower"}(${generateExpr(expr.value, lang, ctx)})`,
+        // substr takes a start and a length
+        substring(expr, lang, ctx) {
+            const start = zeroBased(expr.start, lang, ctx);
+            return `${methodTarget(expr.value, lang, ctx)}.substr(${start}, ${substringLength(expr, start, lang, ctx)})`;
+        },
+        // Concatenation, folding the separator into neighbouring literals
+        join(expr, lang, ctx) {
+            const groups = expr.parts.map((part) => [concatOperand(part, lang, ctx)]);
+            return concatenate(joinSegments(groups, concatOperand(expr.separator, lang, ctx)));
+        },
+        interpolation: (value, lang, ctx) =>
+            concatenate(interpolationParts(value).map((p) => (p.name ? concatOperand(p.name, lang, ctx) : `"${p.text}"`))),
+        contains(cond, lang, ctx) {
+            const item = generateExpr(cond.item, lang, ctx);
+            const c = cond.collection;
+            switch (collectionKind(c, ctx)) {
+                case "map":
+                    return `${c}.count(${item}) > 0`;
+                case "string":
+                    return `${c}.find(${item}) != std::string::npos`;
+                default:
+                    return `std::find(${c}.begin(), ${c}.end(), ${item}) != ${c}.end()`;
+            }
+        },
+    },
+
+    emitters: {
+        // Declared with the variable's type across the whole program
+        variable_creation: (node, lang, ctx) => `${CPP_TYPES[ctx.varTypes.get(node.name) || "auto"]} ${node.name} = ${generateExpr(node.value, lang, ctx)};`,
+        assignment: (node, lang, ctx) => store(node, node.name, generateExpr(node.value, lang, ctx), ctx),
+        // Values are separated by spaces, as Python's print() does
+        print(node, lang, ctx) {
+            const parts = node.values.map((v) => streamSegments(v, lang, ctx));
+            return `std::cout << ${joinSegments(parts, '" "').join(" << ")} << std::endl;`;
+        },
+        input(node, lang, ctx) {
+            // >> reads a number into a numeric variable
+            const type = ctx.implicitDeclarations.get(node);
+            const declaration = type ? `${type === "auto" ? "std::string" : CPP_TYPES[type]} ${node.variable};\n` : "";
+            return `${declaration}std::cin >> ${node.variable};`;
+        },
+        arithmetic(node, lang, ctx) {
+            const expr = generateExpr({ type: "binary", operator: node.operator, left: node.left, right: node.right }, lang, ctx);
+            // No result variable — just the expression
+            return node.result ? store(node, node.result, expr, ctx) : expr;
+        },
+        increment: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}++;` : `${node.variable} += ${generateExpr(node.amount, lang, ctx)};`),
+        decrement: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}--;` : `${node.variable} -= ${generateExpr(node.amount, lang, ctx)};`),
+        if_statement: (node, lang, ctx) => braceIfStatement(node, lang, ctx),
+        while_loop: (node, lang, ctx) => braceBlock(`while (${generateCondition(node.condition, lang, ctx)})`, generateBlock(node.body, lang, ctx), lang),
+        repeat_loop(node, lang, ctx) {
+            const { counter, bodyCtx } = repeatCounter(ctx);
+            const count = generateExpr(node.count, lang, ctx);
+            return braceBlock(`for (int ${counter} = 0; ${counter} < ${count}; ${counter}++)`, generateBlock(node.body, lang, bodyCtx), lang);
+        },
+        break: () => "break;",
+        continue: () => "continue;",
+        for_loop(node, lang, ctx) {
+            const step = node.step ? generateExpr(node.step, lang, ctx) : "1";
+            const v = node.variable;
+            const header = `for (int ${v} = ${generateExpr(node.from, lang, ctx)}; ${v} ${node.inclusive ? "<=" : "<"} ${generateExpr(node.to, lang, ctx)}; ${v} += ${step})`;
+            return braceBlock(header, generateBlock(node.body, lang, ctx), lang);
+        },
+        function_def(node, lang, ctx) {
+            // Parameters of unknown type are generic (auto), as is an unknown return type
+            const sig = functionSignature(node, ctx);
+            const params = sig.params.map((p) => `${CPP_TYPES[p.type]} ${p.name}`).join(", ");
+            const returns = sig.returns === "void" ? "void" : CPP_TYPES[sig.returns];
+            const body = [...hoistedDeclarations(ctx.functionHoisted.get(node)), generateBlock(node.body, lang, ctx)].filter((line) => line).join("\n");
+            return braceBlock(`${returns} ${node.name}(${params})`, body, lang);
+        },
+        function_call: (node, lang, ctx) => `${node.name}(${(node.args || []).map((a) => generateExpr(a, lang, ctx)).join(", ")});`,
+        return: (node, lang, ctx) => (node.value ? `return ${generateExpr(node.value, lang, ctx)};` : "return;"),
+        for_each(node, lang, ctx) {
+            const elemType = ctx.listTypes.get(node.iterable) || "auto";
+            const decl = elemType === "string" ? "const std::string&" : CPP_TYPES[elemType];
+            return braceBlock(`for (${decl} ${node.variable} : ${node.iterable})`, generateBlock(node.body, lang, ctx), lang);
+        },
+        list_creation(node, lang, ctx) {
+            const elemType = ctx.listTypes.get(node.name) || "auto";
+            return `std::vector<${elemType === "auto" ? "std::string" : CPP_TYPES[elemType]}> ${node.name} = {${node.values.join(", ")}};`;
+        },
+        map_creation: (node, lang, ctx) => `std::map<${cppMapTypes(ctx, node.name)}> ${node.name};`,
+        map_put: (node, lang, ctx) => `${node.map}[${generateExpr(node.key, lang, ctx)}] = ${generateExpr(node.value, lang, ctx)};`,
+        map_get: (node, lang, ctx) => store(node, node.result, `${node.map}.at(${generateExpr(node.key, lang, ctx)})`, ctx),
+        sort: (node) => `std::sort(${node.list}.begin(), ${node.list}.end());`,
+        remove(node, lang, ctx) {
+            const item = generateExpr(node.item, lang, ctx);
+            const c = node.collection;
+            if (collectionKind(c, ctx) === "map") return `${c}.erase(${item});`;
+            return `if (auto it = std::find(${c}.begin(), ${c}.end(), ${item}); it != ${c}.end()) ${c}.erase(it);`;
+        },
+        for_each_entry: (node, lang, ctx) =>
+            braceBlock(`for (const auto& [${node.key}, ${node.value}] : ${node.map})`, generateBlock(node.body, lang, ctx), lang),
+        append: (node, lang, ctx) => `${node.list}.push_back(${generateExpr(node.value, lang, ctx)});`,
+        comment: (node) => `// ${node.text}`,
+    },
+
+    // A std::vector holds a single element type
+    unsupported: (nodes, ctx) => ctx.mixedLists.map(({ name, from, to, line }) => ({
+        line: line || 0,
+        error: `List "${name}" mixes ${TYPE_NAMES[from]} and ${TYPE_NAMES[to]}; a C++ vector holds a single element type`,
+    })),
+
+    collectImports(nodes, ctx) {
+        const includes = ["<iostream>"];
+        if (someNode(nodes, (n) => needsAlgorithm(n, ctx))) includes.push("<algorithm>");
+        if (stringHelpers(nodes).length > 0) includes.push("<cctype>");
+        if (someNode(nodes, (n) => n.type === "map_creation")) includes.push("<map>");
+        if (someNode(nodes, (n) => ["list_creation", "append"].includes(n.type))) includes.push("<vector>");
+        includes.push("<string>");
+        return includes.map((header) => `#include ${header}`);
+    },
+
+    // Functions go before main(), the rest inside it
+    wrapProgram(nodes, lang, ctx, imports) {
+        const { functions, statements } = splitFunctions(nodes);
+        const helpers = stringHelpers(nodes).map((mode) => CPP_STRING_HELPERS[mode] + "\n");
+        const funcLines = functions.map((n) => generate(n, lang, ctx));
+        const mainLines = [...hoistedDeclarations(ctx.hoisted), ...statements.map((n) => generate(n, lang, ctx))].map((line) => indent(line, 1, lang));
+        const includes = imports.map((line) => line + "\n").join("");
+        return `${includes}\n${helpers.join("\n")}${funcLines.join("\n\n")}\nint main() {\n${mainLines.join("\n")}\n    return 0;\n}`;
+    },
+
+    highlight: {
+        keywords: /\b(auto|break|case|char|const|continue|default|do|double|else|enum|extern|float|for|goto|if|int|long|register|return|short|signed|sizeof|static|struct|switch|typedef|union|unsigned|void|volatile|while|class|namespace|template|this|new|delete|try|catch|throw|public|private|protected|virtual|inline|using|bool|true|false|nullptr)\b/g,
+        builtins: /\b(std|cout|cin|endl|string|vector|map|set|pair|queue|stack|sort|find|begin|end|push_back|size|empty|front|back|insert|erase)\b/g,
+        strings: /("(?:[^"\\]|\\.)*")/g,
+        comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
+        numbers: /\b(\d+\.?\d*[fFlLuU]*)\b/g,
+        includes: /(#include\s*<[^>]+>)/g,
+        types: /\b(int|double|float|long|short|char|bool|void|auto|string|vector|map|set|pair)\b/g,
+    },
+};
+
+export { cpp };
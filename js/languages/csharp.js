@@ -0,0 +1,201 @@
+/**
+ * C# Backend
+ * Programs are wrapped in a Program class, with functions as static methods.
+ */
+
+import {
+    C_OPERATORS,
+    indent,
+    braceBlock,
+    generateExpr,
+    zeroBased,
+    substringLength,
+    methodTarget,
+    templateInterpolation,
+    templateJoin,
+    generateCondition,
+    generateBlock,
+    someNode,
+    collectionKind,
+    mapTypesOf,
+    functionSignature,
+    splitFunctions,
+    repeatCounter,
+    braceIfStatement,
+    generate,
+} from "../codegen.js";
+
+const CSHARP_TYPES = { int: "int", double: "double", string: "string", bool: "bool", auto: "var" };
+// C# generic type arguments cannot be inferred with var
+const CSHARP_TYPE_ARGS = { ...CSHARP_TYPES, auto: "object" };
+// Initial values for variables declared ahead of their first store, which C# requires
+const CSHARP_DEFAULTS = { int: "0", double: "0.0", string: '""', bool: "false" };
+
+// Interpolated strings
+const TEMPLATE = {
+    wrap: (body) => `$"${body}"`,
+    field: (code) => `{${code}}`,
+    escape: (text) => text.replace(/[{}]/g, (brace) => brace + brace),
+};
+
+// Lists and dictionaries print their type name, so they are written out as their elements
+function display(code, ctx) {
+    return ctx.listTypes.has(code) || ctx.mapTypes.has(code) ? `string.Join(", ", ${code})` : code;
+}
+
+// Interpolated strings whose fields display collections
+function template(ctx) {
+    return { ...TEMPLATE, field: (code) => TEMPLATE.field(display(code, ctx)) };
+}
+
+// Store a value, declaring the variable on its first store (see createContext)
+function store(node, name, code, ctx) {
+    if (!ctx.implicitDeclarations.has(node)) return `${name} = ${code};`;
+    return `${CSHARP_TYPES[ctx.implicitDeclarations.get(node)]} ${name} = ${code};`;
+}
+
+// Declaration of a name first stored inside a nested block, placed at the top of its scope
+function hoistedDeclaration(name, type) {
+    return type === "auto" ? `object ${name} = null;` : `${CSHARP_TYPES[type]} ${name} = ${CSHARP_DEFAULTS[type]};`;
+}
+
+// Declarations for the names first stored inside nested blocks of a scope
+function hoistedDeclarations(hoisted) {
+    return [...(hoisted || [])].map(([name, type]) => hoistedDeclaration(name, type));
+}
+
+// Keywords
+const CSHARP_RESERVED = [
+    "abstract", "as", "base", "bool", "break", "byte", "case", "catch", "char", "checked",
+    "class", "const", "continue", "decimal", "default", "delegate", "do", "double", "else",
+    "enum", "event", "explicit", "extern", "false", "finally", "fixed", "float", "for",
+    "foreach", "goto", "if", "implicit", "in", "int", "interface", "internal", "is", "lock",
+    "long", "namespace", "new", "null", "object", "operator", "out", "override", "params",
+    "private", "protected", "public", "readonly", "ref", "return", "sbyte", "sealed",
+    "short", "sizeof", "stackalloc", "static", "string", "struct", "switch", "this",
+    "throw", "true", "try", "typeof", "uint", "ulong", "unchecked", "unsafe", "ushort",
+    "using", "var", "virtual", "void", "volatile", "while",
+];
+
+const csharp = {
+    label: "C#",
+    extension: "cs",
+    operators: C_OPERATORS,
+    reservedWords: CSHARP_RESERVED,
+
+    expressions: {
+        index: (expr, lang, ctx) => `${expr.collection}[${zeroBased(expr.position, lang, ctx)}]`,
+        length: (expr, lang, ctx) => `${expr.collection}.${collectionKind(expr.collection, ctx) === "string" ? "Length" : "Count"}`,
+        string_case: (expr, lang, ctx) => `${methodTarget(expr.value, lang, ctx)}.${expr.mode === "upper" ? "ToUpper" : "ToLower"}()`,
+        // Substring takes a start and a length
+        substring(expr, lang, ctx) {
+            const start = zeroBased(expr.start, lang, ctx);
+            return `${methodTarget(expr.value, lang, ctx)}.Substring(${start}, ${substringLength(expr, start, lang, ctx)})`;
+        },
+        join: (expr, lang, ctx) => templateJoin(expr, template(ctx), lang, ctx),
+        interpolation: (value, lang, ctx) => templateInterpolation(value, template(ctx)),
+        contains(cond, lang, ctx) {
+            const item = generateExpr(cond.item, lang, ctx);
+            return `${cond.collection}.${collectionKind(cond.collection, ctx) === "map" ? "ContainsKey" : "Contains"}(${item})`;
+        },
+    },
+
+    emitters: {
+        // Declared with the variable's type across the whole program
+        variable_creation: (node, lang, ctx) => `${CSHARP_TYPES[ctx.varTypes.get(node.name) || "auto"]} ${node.name} = ${generateExpr(node.value, lang, ctx)};`,
+        assignment: (node, lang, ctx) => store(node, node.name, generateExpr(node.value, lang, ctx), ctx),
+        print(node, lang, ctx) {
+            // Several values print as one interpolated string, separated by spaces
+            const output = node.values.length > 1
+                ? templateJoin({ type: "join", parts: node.values, separator: '" "' }, template(ctx), lang, ctx)
+                : display(generateExpr(node.values[0], lang, ctx), ctx);
+            return `Console.WriteLine(${output});`;
+        },
+        // Input used as a number is parsed
+        input(node, lang, ctx) {
+            const parse = { int: "int.Parse", double: "double.Parse" }[ctx.varTypes.get(node.variable)];
+            return store(node, node.variable, parse ? `${parse}(Console.ReadLine())` : "Console.ReadLine()", ctx);
+        },
+        arithmetic(node, lang, ctx) {
+            const expr = generateExpr({ type: "binary", operator: node.operator, left: node.left, right: node.right }, lang, ctx);
+            // No result variable — just the expression
+            return node.result ? store(node, node.result, expr, ctx) : expr;
+        },
+        increment: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}++;` : `${node.variable} += ${generateExpr(node.amount, lang, ctx)};`),
+        decrement: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}--;` : `${node.variable} -= ${generateExpr(node.amount, lang, ctx)};`),
+        if_statement: (node, lang, ctx) => braceIfStatement(node, lang, ctx),
+        while_loop: (node, lang, ctx) => braceBlock(`while (${generateCondition(node.condition, lang, ctx)})`, generateBlock(node.body, lang, ctx), lang),
+        repeat_loop(node, lang, ctx) {
+            const { counter, bodyCtx } = repeatCounter(ctx);
+            const count = generateExpr(node.count, lang, ctx);
+            return braceBlock(`for (int ${counter} = 0; ${counter} < ${count}; ${counter}++)`, generateBlock(node.body, lang, bodyCtx), lang);
+        },
+        break: () => "break;",
+        continue: () => "continue;",
+        for_loop(node, lang, ctx) {
+            const step = node.step ? generateExpr(node.step, lang, ctx) : "1";
+            const v = node.variable;
+            const header = `for (int ${v} = ${generateExpr(node.from, lang, ctx)}; ${v} ${node.inclusive ? "<=" : "<"} ${generateExpr(node.to, lang, ctx)}; ${v} += ${step})`;
+            return braceBlock(header, generateBlock(node.body, lang, ctx), lang);
+        },
+        function_def(node, lang, ctx) {
+            const sig = functionSignature(node, ctx);
+            const params = sig.params.map((p) => `${CSHARP_TYPE_ARGS[p.type]} ${p.name}`).join(", ");
+            const returns = sig.returns === "void" ? "void" : CSHARP_TYPE_ARGS[sig.returns];
+            const body = [...hoistedDeclarations(ctx.functionHoisted.get(node)), generateBlock(node.body, lang, ctx)].filter((line) => line).join("\n");
+            return braceBlock(`static ${returns} ${node.name}(${params})`, body, lang);
+        },
+        function_call: (node, lang, ctx) => `${node.name}(${(node.args || []).map((a) => generateExpr(a, lang, ctx)).join(", ")});`,
+        return: (node, lang, ctx) => (node.value ? `return ${generateExpr(node.value, lang, ctx)};` : "return;"),
+        for_each(node, lang, ctx) {
+            const elemType = ctx.listTypes.get(node.iterable) || "auto";
+            return braceBlock(`foreach (${CSHARP_TYPES[elemType]} ${node.variable} in ${node.iterable})`, generateBlock(node.body, lang, ctx), lang);
+        },
+        list_creation(node, lang, ctx) {
+            const type = `List<${CSHARP_TYPE_ARGS[ctx.listTypes.get(node.name) || "auto"]}>`;
+            return `${type} ${node.name} = new ${type}${node.values.length > 0 ? ` { ${node.values.join(", ")} }` : "()"};`;
+        },
+        map_creation(node, lang, ctx) {
+            const types = mapTypesOf(node.name, ctx);
+            const type = `Dictionary<${CSHARP_TYPE_ARGS[types.key]}, ${CSHARP_TYPE_ARGS[types.value]}>`;
+            return `${type} ${node.name} = new ${type}();`;
+        },
+        map_put: (node, lang, ctx) => `${node.map}[${generateExpr(node.key, lang, ctx)}] = ${generateExpr(node.value, lang, ctx)};`,
+        map_get: (node, lang, ctx) => store(node, node.result, `${node.map}[${generateExpr(node.key, lang, ctx)}]`, ctx),
+        sort: (node) => `${node.list}.Sort();`,
+        // List<T>.Remove removes by value (RemoveAt takes the index), Dictionary.Remove by key
+        remove: (node, lang, ctx) => `${node.collection}.Remove(${generateExpr(node.item, lang, ctx)});`,
+        for_each_entry: (node, lang, ctx) =>
+            braceBlock(`foreach (var (${node.key}, ${node.value}) in ${node.map})`, generateBlock(node.body, lang, ctx), lang),
+        append: (node, lang, ctx) => `${node.list}.Add(${generateExpr(node.value, lang, ctx)});`,
+        comment: (node) => `// ${node.text}`,
+    },
+
+    collectImports(nodes) {
+        const usings = [];
+        if (someNode(nodes, (n) => ["print", "input"].includes(n.type))) usings.push("using System;");
+        if (someNode(nodes, (n) => ["list_creation", "map_creation"].includes(n.type))) usings.push("using System.Collections.Generic;");
+        return usings;
+    },
+
+    // Functions become static methods of a Program class, the rest goes in Main()
+    wrapProgram(nodes, lang, ctx, imports) {
+        const { functions, statements } = splitFunctions(nodes);
+        const funcLines = functions.map((n) => generate(n, lang, ctx));
+        const mainLines = [...hoistedDeclarations(ctx.hoisted), ...statements.map((n) => generate(n, lang, ctx))];
+        const main = braceBlock("static void Main()", mainLines.join("\n"), lang);
+        const usings = imports.length > 0 ? imports.join("\n") + "\n\n" : "";
+        return `${usings}class Program {\n${indent([...funcLines, main].join("\n\n"), 1, lang)}\n}`;
+    },
+
+    highlight: {
+        keywords: /\b(using|namespace|class|static|public|private|protected|void|return|if|else|for|foreach|in|while|do|switch|case|break|continue|new|var|int|double|string|bool|object|true|false|null)\b/g,
+        builtins: /\b(Console|WriteLine|ReadLine|Add|Remove|Contains|ContainsKey|Sort|Count|Length|ToUpper|ToLower|Substring)\b/g,
+        strings: /(\$?"(?:[^"\\]|\\.)*")/g,
+        comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
+        numbers: /\b(\d+\.?\d*[fFdDmM]?)\b/g,
+        types: /\b(int|double|string|bool|object|void|var|List|Dictionary)\b/g,
+    },
+};
+
+export { csharp };
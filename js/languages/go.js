@@ -0,0 +1,237 @@
+/**
+ * Go Backend
+ * Programs are package main with a main() function; functions are typed
+ * from their call sites.
+ */
+
+import {
+    C_OPERATORS,
+    braceBlock,
+    isNumeric,
+    inferType,
+    generateExpr,
+    zeroBased,
+    methodTarget,
+    interpolationParts,
+    formatPieces,
+    formatArguments,
+    formatCall,
+    generateCondition,
+    generateBlock,
+    someNode,
+    someValue,
+    readsName,
+    collectionKind,
+    mapTypesOf,
+    functionSignature,
+    splitFunctions,
+    repeatCounter,
+    braceIfStatement,
+    generate,
+} from "../codegen.js";
+
+const GO_TYPES = { int: "int", double: "float64", string: "string", bool: "bool", auto: "any" };
+
+// Go has no built-in key test that works as an expression, so programs get a small helper
+const GO_HAS_KEY = "func hasKey[K comparable, V any](m map[K]V, key K) bool {\n\t_, ok := m[key]\n\treturn ok\n}";
+
+// fmt.Sprintf
+const FORMAT = { call: "fmt.Sprintf", slot: () => "%v", escape: (text) => text.replace(/%/g, "%%") };
+
+// Go never mixes integers and floats, so a whole number stored in a float64 variable is converted
+function float64Value(name, code, type, ctx) {
+    return type === "int" && ctx.varTypes.get(name) === "double" && !isNumeric(code) ? `float64(${code})` : code;
+}
+
+// Go rejects a variable that is declared and never read, so such a declaration is followed by a blank use
+function markUsed(declaration, name, ctx) {
+    return ctx.read.has(name) ? declaration : `${declaration}\n_ = ${name}`;
+}
+
+// An integer operand next to a float is converted, as Go never mixes the two; literals adapt by themselves
+function goOperand(code, value, other, ctx) {
+    return inferType(other, ctx) === "double" && inferType(value, ctx) === "int" && !isNumeric(value) ? `float64(${code})` : code;
+}
+
+// Declare a variable with its first value; a whole-number literal declares a float64 one explicitly
+function declaration(name, code, type, ctx) {
+    if (ctx.varTypes.get(name) === "double" && /^-?\d+$/.test(code)) return markUsed(`var ${name} float64 = ${code}`, name, ctx);
+    return markUsed(`${name} := ${float64Value(name, code, type, ctx)}`, name, ctx);
+}
+
+// Store a value of the given type, declaring the variable on its first store (see createContext)
+function storeStatement(node, name, code, ctx, type) {
+    return ctx.implicitDeclarations.has(node) ? declaration(name, code, type, ctx) : `${name} = ${float64Value(name, code, type, ctx)}`;
+}
+
+// Declaration of a name first stored inside a nested block, placed at the top of its scope
+function hoistedDeclaration(name, type, ctx) {
+    return markUsed(`var ${name} ${GO_TYPES[type]}`, name, ctx);
+}
+
+// Whether a value tests membership in a collection of the given kind
+function isContains(value, kind, ctx) {
+    return value.type === "contains" && collectionKind(value.collection, ctx) === kind;
+}
+
+// Header of a range loop binding only the names its body reads, as Go rejects
+// unused loop variables; a null name is never bound
+function rangeHeader(names, collection, body) {
+    const bound = names.map((name) => (name && readsName(body, name) ? name : "_"));
+    while (bound[bound.length - 1] === "_") bound.pop();
+    return bound.length === 0 ? `for range ${collection}` : `for ${bound.join(", ")} := range ${collection}`;
+}
+
+// Keywords, and the packages, types and names generated code uses
+const GO_RESERVED = [
+    "break", "case", "chan", "const", "continue", "default", "defer", "else", "fallthrough",
+    "for", "func", "go", "goto", "if", "import", "interface", "map", "package", "range",
+    "return", "select", "struct", "switch", "type", "var", "any", "append", "bool", "float64",
+    "int", "len", "main", "string", "bufio", "fmt", "os", "scanner", "slices", "strconv", "strings",
+];
+
+const go = {
+    label: "Go",
+    extension: "go",
+    indentUnit: "\t",
+    operators: C_OPERATORS,
+    reservedWords: GO_RESERVED,
+    operand: goOperand,
+
+    expressions: {
+        index: (expr, lang, ctx) => `${expr.collection}[${zeroBased(expr.position, lang, ctx)}]`,
+        length: (expr) => `len(${expr.collection})`,
+        string_case: (expr, lang, ctx) => `strings.${expr.mode === "upper" ? "ToUpper" : "ToLower"}(${generateExpr(expr.value, lang, ctx)})`,
+        substring: (expr, lang, ctx) =>
+            `${methodTarget(expr.value, lang, ctx)}[${zeroBased(expr.start, lang, ctx)}:${generateExpr(expr.end, lang, ctx)}]`,
+        // A format string, so parts of any type work
+        join: (expr, lang, ctx) => formatCall(formatPieces(expr, lang, ctx), FORMAT),
+        interpolation: (value, lang, ctx) => formatCall(formatPieces(value, lang, ctx), FORMAT),
+        contains(cond, lang, ctx) {
+            // hasKey is a helper emitted with the program
+            const call = { map: "hasKey", string: "strings.Contains", list: "slices.Contains" }[collectionKind(cond.collection, ctx)];
+            return `${call}(${cond.collection}, ${generateExpr(cond.item, lang, ctx)})`;
+        },
+    },
+
+    emitters: {
+        variable_creation: (node, lang, ctx) => declaration(node.name, generateExpr(node.value, lang, ctx), inferType(node.value, ctx), ctx),
+        assignment: (node, lang, ctx) => storeStatement(node, node.name, generateExpr(node.value, lang, ctx), ctx, inferType(node.value, ctx)),
+        print(node, lang, ctx) {
+            // A lone interpolated string prints through its format string
+            if (node.values.length === 1 && interpolationParts(node.values[0])) {
+                return `fmt.Printf(${formatArguments([...formatPieces(node.values[0], lang, ctx), { text: "\\n" }], FORMAT)})`;
+            }
+            return `fmt.Println(${node.values.map((v) => generateExpr(v, lang, ctx)).join(", ")})`;
+        },
+        // Programs that read input create a bufio.Scanner at the top of main()
+        input(node, lang, ctx) {
+            const name = node.variable;
+            const parse = { int: "strconv.Atoi(scanner.Text())", double: "strconv.ParseFloat(scanner.Text(), 64)" }[ctx.varTypes.get(name)];
+            if (!parse) return `scanner.Scan()\n${storeStatement(node, name, "scanner.Text()", ctx)}`;
+            // Input used as a number is parsed; a line that is not a number reads as 0
+            const declare = ctx.implicitDeclarations.has(node);
+            return `scanner.Scan()\n${declare ? markUsed(`${name}, _ := ${parse}`, name, ctx) : `${name}, _ = ${parse}`}`;
+        },
+        arithmetic(node, lang, ctx) {
+            const binary = { type: "binary", operator: node.operator, left: node.left, right: node.right };
+            const expr = generateExpr(binary, lang, ctx);
+            // No result variable — just the expression
+            return node.result ? storeStatement(node, node.result, expr, ctx, inferType(binary, ctx)) : expr;
+        },
+        increment: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}++` : `${node.variable} += ${generateExpr(node.amount, lang, ctx)}`),
+        decrement: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}--` : `${node.variable} -= ${generateExpr(node.amount, lang, ctx)}`),
+        // Conditions take no parentheses
+        if_statement: (node, lang, ctx) => braceIfStatement(node, lang, ctx, { parenthesize: false }),
+        while_loop(node, lang, ctx) {
+            // Go's only loop is for; an endless loop has no condition at all
+            const cond = generateCondition(node.condition, lang, ctx);
+            return braceBlock(cond === "true" ? "for" : `for ${cond}`, generateBlock(node.body, lang, ctx), lang);
+        },
+        repeat_loop(node, lang, ctx) {
+            const { counter, bodyCtx } = repeatCounter(ctx);
+            const count = generateExpr(node.count, lang, ctx);
+            return braceBlock(`for ${counter} := 0; ${counter} < ${count}; ${counter}++`, generateBlock(node.body, lang, bodyCtx), lang);
+        },
+        break: () => "break",
+        continue: () => "continue",
+        for_loop(node, lang, ctx) {
+            const step = node.step ? generateExpr(node.step, lang, ctx) : "1";
+            const v = node.variable;
+            const header = `for ${v} := ${generateExpr(node.from, lang, ctx)}; ${v} ${node.inclusive ? "<=" : "<"} ${generateExpr(node.to, lang, ctx)}; ${v} += ${step}`;
+            return braceBlock(header, generateBlock(node.body, lang, ctx), lang);
+        },
+        function_def(node, lang, ctx) {
+            const hoisted = [...(ctx.functionHoisted.get(node) || [])].map(([name, type]) => hoistedDeclaration(name, type, ctx));
+            const body = [...hoisted, generateBlock(node.body, lang, ctx)].filter((line) => line).join("\n");
+            const sig = functionSignature(node, ctx);
+            const params = sig.params.map((p) => `${p.name} ${GO_TYPES[p.type]}`).join(", ");
+            const returns = sig.returns === "void" ? "" : ` ${GO_TYPES[sig.returns]}`;
+            return braceBlock(`func ${node.name}(${params})${returns}`, body, lang);
+        },
+        function_call: (node, lang, ctx) => `${node.name}(${(node.args || []).map((a) => generateExpr(a, lang, ctx)).join(", ")})`,
+        return: (node, lang, ctx) => (node.value ? `return ${generateExpr(node.value, lang, ctx)}` : "return"),
+        for_each: (node, lang, ctx) => braceBlock(rangeHeader([null, node.variable], node.iterable, node.body), generateBlock(node.body, lang, ctx), lang),
+        list_creation: (node, lang, ctx) => markUsed(`${node.name} := []${GO_TYPES[ctx.listTypes.get(node.name) || "auto"]}{${node.values.join(", ")}}`, node.name, ctx),
+        map_creation(node, lang, ctx) {
+            const types = mapTypesOf(node.name, ctx);
+            return markUsed(`${node.name} := map[${GO_TYPES[types.key]}]${GO_TYPES[types.value]}{}`, node.name, ctx);
+        },
+        map_put: (node, lang, ctx) => `${node.map}[${generateExpr(node.key, lang, ctx)}] = ${generateExpr(node.value, lang, ctx)}`,
+        map_get: (node, lang, ctx) => storeStatement(node, node.result, `${node.map}[${generateExpr(node.key, lang, ctx)}]`, ctx, mapTypesOf(node.map, ctx).value),
+        sort: (node) => `slices.Sort(${node.list})`,
+        remove(node, lang, ctx) {
+            const item = generateExpr(node.item, lang, ctx);
+            const c = node.collection;
+            if (collectionKind(c, ctx) === "map") return `delete(${c}, ${item})`;
+            return `if i := slices.Index(${c}, ${item}); i >= 0 {\n\t${c} = slices.Delete(${c}, i, i+1)\n}`;
+        },
+        for_each_entry: (node, lang, ctx) => braceBlock(rangeHeader([node.key, node.value], node.map, node.body), generateBlock(node.body, lang, ctx), lang),
+        append: (node, lang, ctx) => `${node.list} = append(${node.list}, ${generateExpr(node.value, lang, ctx)})`,
+        comment: (node) => `// ${node.text}`,
+    },
+
+    // Imported packages, in alphabetical order as gofmt keeps them
+    collectImports(nodes, ctx) {
+        const used = (predicate) => someValue(nodes, predicate);
+        const needsInput = someNode(nodes, (n) => n.type === "input");
+        const packages = [];
+        if (needsInput) packages.push("bufio");
+        if (used((v) => v.type === "print" || v.type === "join" || interpolationParts(v))) packages.push("fmt");
+        if (needsInput) packages.push("os");
+        if (used((v) => v.type === "sort" || isContains(v, "list", ctx) || (v.type === "remove" && !ctx.mapTypes.has(v.collection)))) {
+            packages.push("slices");
+        }
+        if (someNode(nodes, (n) => n.type === "input" && ["int", "double"].includes(ctx.varTypes.get(n.variable)))) packages.push("strconv");
+        if (used((v) => v.type === "string_case" || isContains(v, "string", ctx))) packages.push("strings");
+        return packages;
+    },
+
+    wrapProgram(nodes, lang, ctx, packages) {
+        const imports = packages.length === 0
+            ? ""
+            : packages.length === 1
+                ? `import "${packages[0]}"\n\n`
+                : `import (\n${packages.map((p) => `\t"${p}"`).join("\n")}\n)\n\n`;
+        const helpers = someValue(nodes, (v) => isContains(v, "map", ctx)) ? [GO_HAS_KEY] : [];
+
+        const hoisted = [...ctx.hoisted].map(([name, type]) => hoistedDeclaration(name, type, ctx));
+        const setup = someNode(nodes, (n) => n.type === "input") ? ["scanner := bufio.NewScanner(os.Stdin)"] : [];
+        const { functions, statements } = splitFunctions(nodes);
+        const funcLines = functions.map((n) => generate(n, lang, ctx));
+        const mainLines = statements.map((n) => generate(n, lang, ctx));
+        const main = braceBlock("func main()", [...setup, ...hoisted, ...mainLines].join("\n"), lang);
+        return `package main\n\n${imports}${[...helpers, ...funcLines, main].join("\n\n")}`;
+    },
+
+    highlight: {
+        keywords: /\b(package|import|func|return|if|else|for|range|switch|case|default|break|continue|var|const|type|struct|map|interface|go|defer|chan|select|true|false|nil)\b/g,
+        builtins: /\b(fmt|Println|Printf|Sprintf|bufio|NewScanner|Scan|Text|os|Stdin|strings|ToUpper|ToLower|Contains|slices|Sort|Index|Delete|append|len|delete|make)\b/g,
+        strings: /(`[^`]*`|"(?:[^"\\]|\\.)*")/g,
+        comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
+        numbers: /\b(\d+\.?\d*)\b/g,
+        types: /\b(int|float64|string|bool|any|comparable)\b/g,
+    },
+};
+
+export { go };
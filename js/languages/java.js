@@ -0,0 +1,215 @@
+/**
+ * Java Backend
+ * Programs are wrapped in a Main class, with functions as static methods.
+ */
+
+import {
+    C_OPERATORS,
+    indent,
+    braceBlock,
+    inferType,
+    generateExpr,
+    zeroBased,
+    methodTarget,
+    joinSegments,
+    formatPieces,
+    formatCall,
+    generateCondition,
+    generateBlock,
+    someNode,
+    collectionKind,
+    mapTypesOf,
+    functionSignature,
+    splitFunctions,
+    repeatCounter,
+    braceIfStatement,
+    generate,
+} from "../codegen.js";
+
+const JAVA_TYPES = { int: "int", double: "double", string: "String", bool: "boolean", auto: "var" };
+const JAVA_BOXED_TYPES = { int: "Integer", double: "Double", string: "String", bool: "Boolean", auto: "Object" };
+// Method parameters and return types cannot be inferred with var
+const JAVA_SIGNATURE_TYPES = { ...JAVA_TYPES, auto: "Object" };
+// Initial values for variables declared ahead of their first store, which Java requires
+const JAVA_DEFAULTS = { int: "0", double: "0.0", string: '""', bool: "false" };
+
+// String.format
+const FORMAT = { call: "String.format", slot: () => "%s", escape: (text) => text.replace(/%/g, "%%") };
+
+// Java declaration types of a map's key and value
+function javaMapTypes(ctx, name) {
+    const types = mapTypesOf(name, ctx);
+    return `${JAVA_BOXED_TYPES[types.key]}, ${JAVA_BOXED_TYPES[types.value]}`;
+}
+
+// A list element as stored in an ArrayList of the given type; boxing needs int literals as doubles
+function javaElement(value, type) {
+    return type === "double" && inferType(value) === "int" ? `${value}.0` : value;
+}
+
+// Store a value, declaring the variable on its first store (see createContext)
+function store(node, name, code, ctx) {
+    if (!ctx.implicitDeclarations.has(node)) return `${name} = ${code};`;
+    return `${JAVA_TYPES[ctx.implicitDeclarations.get(node)]} ${name} = ${code};`;
+}
+
+// Declaration of a name first stored inside a nested block, placed at the top of its scope
+function hoistedDeclaration(name, type) {
+    return type === "auto" ? `Object ${name} = null;` : `${JAVA_TYPES[type]} ${name} = ${JAVA_DEFAULTS[type]};`;
+}
+
+// Declarations for the names first stored inside nested blocks of a scope
+function hoistedDeclarations(hoisted) {
+    return [...(hoisted || [])].map(([name, type]) => hoistedDeclaration(name, type));
+}
+
+// Keywords, and the names generated code declares
+const JAVA_RESERVED = [
+    "abstract", "assert", "boolean", "break", "byte", "case", "catch", "char", "class",
+    "const", "continue", "default", "do", "double", "else", "enum", "extends", "final",
+    "finally", "float", "for", "goto", "if", "implements", "import", "instanceof", "int",
+    "interface", "long", "native", "new", "null", "package", "private", "protected",
+    "public", "return", "short", "static", "strictfp", "super", "switch", "synchronized",
+    "this", "throw", "throws", "transient", "try", "var", "void", "volatile", "while",
+    "entry", "main", "scanner",
+];
+
+const java = {
+    label: "Java",
+    extension: "java",
+    operators: C_OPERATORS,
+    reservedWords: JAVA_RESERVED,
+
+    expressions: {
+        index: (expr, lang, ctx) => `${expr.collection}.get(${zeroBased(expr.position, lang, ctx)})`,
+        length: (expr, lang, ctx) => `${expr.collection}.${collectionKind(expr.collection, ctx) === "string" ? "length()" : "size()"}`,
+        string_case: (expr, lang, ctx) => `${methodTarget(expr.value, lang, ctx)}.${expr.mode === "upper" ? "toUpperCase" : "toLowerCase"}()`,
+        substring: (expr, lang, ctx) =>
+            `${methodTarget(expr.value, lang, ctx)}.substring(${zeroBased(expr.start, lang, ctx)}, ${generateExpr(expr.end, lang, ctx)})`,
+        // Concatenation, folding the separator into neighbouring literals
+        join(expr, lang, ctx) {
+            const groups = expr.parts.map((part) => [methodTarget(part, lang, ctx)]);
+            return joinSegments(groups, methodTarget(expr.separator, lang, ctx)).join(" + ");
+        },
+        interpolation: (value, lang, ctx) => formatCall(formatPieces(value, lang, ctx), FORMAT),
+        contains(cond, lang, ctx) {
+            const item = generateExpr(cond.item, lang, ctx);
+            return `${cond.collection}.${collectionKind(cond.collection, ctx) === "map" ? "containsKey" : "contains"}(${item})`;
+        },
+    },
+
+    emitters: {
+        // Declared with the variable's type across the whole program
+        variable_creation: (node, lang, ctx) => `${JAVA_TYPES[ctx.varTypes.get(node.name) || "auto"]} ${node.name} = ${generateExpr(node.value, lang, ctx)};`,
+        assignment: (node, lang, ctx) => store(node, node.name, generateExpr(node.value, lang, ctx), ctx),
+        // Values are separated by spaces, as Python's print() does
+        print(node, lang, ctx) {
+            // Keep arithmetic from being absorbed into string concatenation
+            const parts = node.values.length > 1
+                ? node.values.map((v) => [methodTarget(v, lang, ctx)])
+                : [[generateExpr(node.values[0], lang, ctx)]];
+            return `System.out.println(${joinSegments(parts, '" "').join(" + ")});`;
+        },
+        // Input used as a number is parsed
+        input(node, lang, ctx) {
+            const parse = { int: "Integer.parseInt", double: "Double.parseDouble" }[ctx.varTypes.get(node.variable)];
+            return store(node, node.variable, parse ? `${parse}(scanner.nextLine())` : "scanner.nextLine()", ctx);
+        },
+        arithmetic(node, lang, ctx) {
+            const expr = generateExpr({ type: "binary", operator: node.operator, left: node.left, right: node.right }, lang, ctx);
+            // No result variable — just the expression
+            return node.result ? store(node, node.result, expr, ctx) : expr;
+        },
+        increment: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}++;` : `${node.variable} += ${generateExpr(node.amount, lang, ctx)};`),
+        decrement: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}--;` : `${node.variable} -= ${generateExpr(node.amount, lang, ctx)};`),
+        if_statement: (node, lang, ctx) => braceIfStatement(node, lang, ctx),
+        while_loop: (node, lang, ctx) => braceBlock(`while (${generateCondition(node.condition, lang, ctx)})`, generateBlock(node.body, lang, ctx), lang),
+        repeat_loop(node, lang, ctx) {
+            const { counter, bodyCtx } = repeatCounter(ctx);
+            const count = generateExpr(node.count, lang, ctx);
+            return braceBlock(`for (int ${counter} = 0; ${counter} < ${count}; ${counter}++)`, generateBlock(node.body, lang, bodyCtx), lang);
+        },
+        break: () => "break;",
+        continue: () => "continue;",
+        for_loop(node, lang, ctx) {
+            const step = node.step ? generateExpr(node.step, lang, ctx) : "1";
+            const v = node.variable;
+            const header = `for (int ${v} = ${generateExpr(node.from, lang, ctx)}; ${v} ${node.inclusive ? "<=" : "<"} ${generateExpr(node.to, lang, ctx)}; ${v} += ${step})`;
+            return braceBlock(header, generateBlock(node.body, lang, ctx), lang);
+        },
+        function_def(node, lang, ctx) {
+            const sig = functionSignature(node, ctx);
+            const params = sig.params.map((p) => `${JAVA_SIGNATURE_TYPES[p.type]} ${p.name}`).join(", ");
+            const returns = sig.returns === "void" ? "void" : JAVA_SIGNATURE_TYPES[sig.returns];
+            const body = [...hoistedDeclarations(ctx.functionHoisted.get(node)), generateBlock(node.body, lang, ctx)].filter((line) => line).join("\n");
+            return braceBlock(`public static ${returns} ${node.name}(${params})`, body, lang);
+        },
+        function_call: (node, lang, ctx) => `${node.name}(${(node.args || []).map((a) => generateExpr(a, lang, ctx)).join(", ")});`,
+        return: (node, lang, ctx) => (node.value ? `return ${generateExpr(node.value, lang, ctx)};` : "return;"),
+        for_each(node, lang, ctx) {
+            const elemType = ctx.listTypes.get(node.iterable) || "auto";
+            return braceBlock(`for (${JAVA_TYPES[elemType]} ${node.variable} : ${node.iterable})`, generateBlock(node.body, lang, ctx), lang);
+        },
+        list_creation(node, lang, ctx) {
+            const elemType = ctx.listTypes.get(node.name) || "auto";
+            // Arrays.asList needs every literal boxed to the same type
+            const vals = node.values.map((v) => javaElement(v, elemType)).join(", ");
+            const init = node.values.length > 0 ? `new ArrayList<>(Arrays.asList(${vals}))` : "new ArrayList<>()";
+            return `ArrayList<${JAVA_BOXED_TYPES[elemType]}> ${node.name} = ${init};`;
+        },
+        map_creation: (node, lang, ctx) => `HashMap<${javaMapTypes(ctx, node.name)}> ${node.name} = new HashMap<>();`,
+        map_put: (node, lang, ctx) => `${node.map}.put(${generateExpr(node.key, lang, ctx)}, ${generateExpr(node.value, lang, ctx)});`,
+        map_get: (node, lang, ctx) => store(node, node.result, `${node.map}.get(${generateExpr(node.key, lang, ctx)})`, ctx),
+        sort: (node) => `Collections.sort(${node.list});`,
+        remove(node, lang, ctx) {
+            const item = generateExpr(node.item, lang, ctx);
+            const list = node.collection;
+            if (collectionKind(list, ctx) === "map") return `${list}.remove(${item});`;
+            // remove(int) would remove by index, so box integer values explicitly
+            return ctx.listTypes.get(list) === "int" || inferType(node.item) === "int"
+                ? `${list}.remove(Integer.valueOf(${item}));`
+                : `${list}.remove(${item});`;
+        },
+        for_each_entry(node, lang, ctx) {
+            const types = mapTypesOf(node.map, ctx);
+            const bodyCode = generateBlock(node.body, lang, ctx);
+            const entryVars = `${JAVA_TYPES[types.key]} ${node.key} = entry.getKey();\n${JAVA_TYPES[types.value]} ${node.value} = entry.getValue();`;
+            return braceBlock(`for (var entry : ${node.map}.entrySet())`, bodyCode ? `${entryVars}\n${bodyCode}` : entryVars, lang);
+        },
+        append: (node, lang, ctx) => `${node.list}.add(${javaElement(generateExpr(node.value, lang, ctx), ctx.listTypes.get(node.list))});`,
+        comment: (node) => `// ${node.text}`,
+    },
+
+    collectImports(nodes) {
+        const imports = [];
+        if (someNode(nodes, (n) => n.type === "input")) imports.push("import java.util.Scanner;");
+        if (someNode(nodes, (n) => n.type === "list_creation")) imports.push("import java.util.ArrayList;");
+        if (someNode(nodes, (n) => n.type === "list_creation" && n.values.length > 0)) imports.push("import java.util.Arrays;");
+        if (someNode(nodes, (n) => n.type === "map_creation")) imports.push("import java.util.HashMap;");
+        if (someNode(nodes, (n) => n.type === "sort")) imports.push("import java.util.Collections;");
+        return imports;
+    },
+
+    // Functions become static methods of a Main class, the rest goes in main()
+    wrapProgram(nodes, lang, ctx, imports) {
+        const { functions, statements } = splitFunctions(nodes);
+        const funcLines = functions.map((n) => indent(generate(n, lang, ctx), 1, lang));
+        const mainLines = [...hoistedDeclarations(ctx.hoisted), ...statements.map((n) => generate(n, lang, ctx))].map((line) => indent(line, 2, lang));
+        const scannerInit = someNode(nodes, (n) => n.type === "input")
+            ? indent("Scanner scanner = new Scanner(System.in);", 2, lang) + "\n"
+            : "";
+        const header = imports.map((line) => line + "\n").join("");
+        return `${header}public class Main {\n${funcLines.join("\n\n")}\n    public static void main(String[] args) {\n${scannerInit}${mainLines.join("\n")}\n    }\n}`;
+    },
+
+    highlight: {
+        keywords: /\b(public|private|protected|static|final|abstract|class|interface|extends|implements|new|return|if|else|for|while|do|switch|case|break|continue|try|catch|finally|throw|throws|import|package|void|int|double|float|long|short|byte|char|boolean|String|true|false|null)\b/g,
+        builtins: /\b(System|out|println|Scanner|ArrayList|Arrays|Math|Integer|Double|Float|Long|Object)\b/g,
+        strings: /("(?:[^"\\]|\\.)*")/g,
+        comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
+        numbers: /\b(\d+\.?\d*[fFdDlL]?)\b/g,
+        types: /\b(int|double|float|long|short|byte|char|boolean|String|void|var|ArrayList|Scanner|Object)\b/g,
+    },
+};
+
+export { java };
@@ -0,0 +1,236 @@
+/**
+ * JavaScript and TypeScript Backends
+ * The two share everything but type annotations. Programs are top-level
+ * statements, or an async main() when they read input.
+ */
+
+import {
+    C_OPERATORS,
+    indent,
+    braceBlock,
+    inferType,
+    generateExpr,
+    zeroBased,
+    methodTarget,
+    templateInterpolation,
+    templateJoin,
+    generateCondition,
+    generateBlock,
+    someNode,
+    collectionKind,
+    mapTypesOf,
+    functionSignature,
+    splitFunctions,
+    repeatCounter,
+    braceIfStatement,
+    generate,
+} from "../codegen.js";
+
+const TS_TYPES = { int: "number", double: "number", string: "string", bool: "boolean", auto: "any" };
+// A TypeScript union of value types, parenthesized for an array type; unknown types make it any
+function tsUnion(types) {
+    const union = [...new Set(types.map((type) => TS_TYPES[type]))];
+    if (union.length === 0 || union.includes("any")) return "any";
+    return union.length === 1 ? union[0] : `(${union.join(" | ")})`;
+}
+
+// Initial values for TypeScript variables declared ahead of their first store
+const TS_DEFAULTS = { int: "0", double: "0", string: '""', bool: "false" };
+
+// Template literals
+const TEMPLATE = {
+    wrap: (body) => `\`${body}\``,
+    field: (code) => `\${${code}}`,
+    escape: (text) => text.replace(/`|\$(?=\{)/g, (c) => `\\${c}`),
+};
+
+// ": type" annotation for TypeScript; unknown types are left to the compiler
+function tsAnnotation(type, lang) {
+    return lang === "typescript" && type && type !== "auto" ? `: ${TS_TYPES[type]}` : "";
+}
+
+// TypeScript generic arguments of a map's key and value types
+function tsMapTypes(ctx, name) {
+    const types = mapTypesOf(name, ctx);
+    return `${TS_TYPES[types.key]}, ${TS_TYPES[types.value]}`;
+}
+
+// Variables that are never reassigned are declared with const
+function jsDeclaration(name, ctx) {
+    return ctx.reassigned.has(name) ? "let" : "const";
+}
+
+// Store a value, declaring the variable on its first store (see createContext)
+function storeStatement(node, name, code, lang, ctx) {
+    if (!ctx.implicitDeclarations.has(node)) return `${name} = ${code};`;
+    return `${jsDeclaration(name, ctx)} ${name}${tsAnnotation(ctx.implicitDeclarations.get(node), lang)} = ${code};`;
+}
+
+// Declaration of a name first stored inside a nested block, placed at the top of its scope
+function hoistedDeclaration(name, type, lang) {
+    if (lang !== "typescript") return `let ${name};`;
+    return type === "auto" ? `let ${name}: any;` : `let ${name}: ${TS_TYPES[type]} = ${TS_DEFAULTS[type]};`;
+}
+
+// Keywords (strict mode), and the names generated code declares
+const JS_RESERVED = [
+    "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default",
+    "delete", "do", "else", "enum", "export", "extends", "false", "finally", "for", "function",
+    "if", "implements", "import", "in", "instanceof", "interface", "let", "new", "null",
+    "package", "private", "protected", "public", "return", "static", "super", "switch", "this",
+    "throw", "true", "try", "typeof", "var", "void", "while", "with", "yield", "arguments",
+    "eval", "undefined", "main", "readline", "rl", "lines", "nextLine",
+];
+
+const javascript = {
+    label: "JavaScript",
+    extension: "js",
+    literals: { null: "null" },
+    operators: { ...C_OPERATORS, equal: "===", not_equal: "!==" },
+    reservedWords: JS_RESERVED,
+
+    expressions: {
+        index: (expr, lang, ctx) => `${expr.collection}[${zeroBased(expr.position, lang, ctx)}]`,
+        length: (expr, lang, ctx) => `${expr.collection}.${collectionKind(expr.collection, ctx) === "map" ? "size" : "length"}`,
+        string_case: (expr, lang, ctx) => `${methodTarget(expr.value, lang, ctx)}.${expr.mode === "upper" ? "toUpperCase" : "toLowerCase"}()`,
+        substring: (expr, lang, ctx) =>
+            `${methodTarget(expr.value, lang, ctx)}.substring(${zeroBased(expr.start, lang, ctx)}, ${generateExpr(expr.end, lang, ctx)})`,
+        join: (expr, lang, ctx) => templateJoin(expr, TEMPLATE, lang, ctx),
+        interpolation: (value) => templateInterpolation(value, TEMPLATE),
+        contains(cond, lang, ctx) {
+            const item = generateExpr(cond.item, lang, ctx);
+            return `${cond.collection}.${collectionKind(cond.collection, ctx) === "map" ? "has" : "includes"}(${item})`;
+        },
+    },
+
+    emitters: {
+        variable_creation: (node, lang, ctx) =>
+            `${jsDeclaration(node.name, ctx)} ${node.name}${tsAnnotation(inferType(node.value, ctx), lang)} = ${generateExpr(node.value, lang, ctx)};`,
+        assignment: (node, lang, ctx) => storeStatement(node, node.name, generateExpr(node.value, lang, ctx), lang, ctx),
+        print: (node, lang, ctx) => `console.log(${node.values.map((v) => generateExpr(v, lang, ctx)).join(", ")});`,
+        // Programs that read input run inside an async main(); input used as a number is converted
+        input(node, lang, ctx) {
+            const numeric = ["int", "double"].includes(ctx.varTypes.get(node.variable));
+            return storeStatement(node, node.variable, numeric ? "Number(await nextLine())" : "await nextLine()", lang, ctx);
+        },
+        arithmetic(node, lang, ctx) {
+            const expr = generateExpr({ type: "binary", operator: node.operator, left: node.left, right: node.right }, lang, ctx);
+            // No result variable — just the expression
+            return node.result ? storeStatement(node, node.result, expr, lang, ctx) : expr;
+        },
+        increment: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}++;` : `${node.variable} += ${generateExpr(node.amount, lang, ctx)};`),
+        decrement: (node, lang, ctx) => (node.amount === "1" ? `${node.variable}--;` : `${node.variable} -= ${generateExpr(node.amount, lang, ctx)};`),
+        if_statement: (node, lang, ctx) => braceIfStatement(node, lang, ctx),
+        while_loop: (node, lang, ctx) => braceBlock(`while (${generateCondition(node.condition, lang, ctx)})`, generateBlock(node.body, lang, ctx), lang),
+        repeat_loop(node, lang, ctx) {
+            const { counter, bodyCtx } = repeatCounter(ctx);
+            const count = generateExpr(node.count, lang, ctx);
+            return braceBlock(`for (let ${counter} = 0; ${counter} < ${count}; ${counter}++)`, generateBlock(node.body, lang, bodyCtx), lang);
+        },
+        break: () => "break;",
+        continue: () => "continue;",
+        for_loop(node, lang, ctx) {
+            const step = node.step ? generateExpr(node.step, lang, ctx) : "1";
+            const v = node.variable;
+            const header = `for (let ${v} = ${generateExpr(node.from, lang, ctx)}; ${v} ${node.inclusive ? "<=" : "<"} ${generateExpr(node.to, lang, ctx)}; ${v} += ${step})`;
+            return braceBlock(header, generateBlock(node.body, lang, ctx), lang);
+        },
+        function_def(node, lang, ctx) {
+            const hoisted = [...(ctx.functionHoisted.get(node) || [])].map(([name, type]) => hoistedDeclaration(name, type, lang));
+            const body = [...hoisted, generateBlock(node.body, lang, ctx)].filter((line) => line).join("\n");
+            if (lang !== "typescript") return braceBlock(`function ${node.name}(${(node.params || []).join(", ")})`, body, lang);
+            const sig = functionSignature(node, ctx);
+            const params = sig.params.map((p) => `${p.name}: ${TS_TYPES[p.type]}`).join(", ");
+            const returns = sig.returns === "void" ? ": void" : tsAnnotation(sig.returns, lang);
+            return braceBlock(`function ${node.name}(${params})${returns}`, body, lang);
+        },
+        function_call: (node, lang, ctx) => `${node.name}(${(node.args || []).map((a) => generateExpr(a, lang, ctx)).join(", ")});`,
+        return: (node, lang, ctx) => (node.value ? `return ${generateExpr(node.value, lang, ctx)};` : "return;"),
+        for_each: (node, lang, ctx) => braceBlock(`for (const ${node.variable} of ${node.iterable})`, generateBlock(node.body, lang, ctx), lang),
+        list_creation(node, lang, ctx) {
+            const elemType = ctx.listTypes.get(node.name) || "auto";
+            // A mixed list is declared with the union of everything it holds, appends included
+            const annotation = lang !== "typescript"
+                ? ""
+                : elemType !== "auto" ? `: ${TS_TYPES[elemType]}[]` : `: ${tsUnion(ctx.listElementTypes.get(node.name) || [])}[]`;
+            return `${jsDeclaration(node.name, ctx)} ${node.name}${annotation} = [${node.values.join(", ")}];`;
+        },
+        map_creation(node, lang, ctx) {
+            const typeArgs = lang === "typescript" ? `<${tsMapTypes(ctx, node.name)}>` : "";
+            return `${jsDeclaration(node.name, ctx)} ${node.name} = new Map${typeArgs}();`;
+        },
+        map_put: (node, lang, ctx) => `${node.map}.set(${generateExpr(node.key, lang, ctx)}, ${generateExpr(node.value, lang, ctx)});`,
+        map_get(node, lang, ctx) {
+            // Map.get() may return undefined in TypeScript; the key is assumed present, as in Java and C++
+            const get = `${node.map}.get(${generateExpr(node.key, lang, ctx)})${lang === "typescript" ? "!" : ""}`;
+            return storeStatement(node, node.result, get, lang, ctx);
+        },
+        sort(node, lang, ctx) {
+            // Array.prototype.sort compares as strings unless given a comparator
+            const numeric = ["int", "double"].includes(ctx.listTypes.get(node.list));
+            return `${node.list}.sort(${numeric ? "(a, b) => a - b" : ""});`;
+        },
+        remove(node, lang, ctx) {
+            const item = generateExpr(node.item, lang, ctx);
+            const c = node.collection;
+            if (collectionKind(c, ctx) === "map") return `${c}.delete(${item});`;
+            return `if (${c}.includes(${item})) ${c}.splice(${c}.indexOf(${item}), 1);`;
+        },
+        for_each_entry: (node, lang, ctx) =>
+            braceBlock(`for (const [${node.key}, ${node.value}] of ${node.map})`, generateBlock(node.body, lang, ctx), lang),
+        append: (node, lang, ctx) => `${node.list}.push(${generateExpr(node.value, lang, ctx)});`,
+        comment: (node) => `// ${node.text}`,
+    },
+
+    collectImports: (nodes) => (someNode(nodes, (n) => n.type === "input") ? ['const readline = require("readline");'] : []),
+
+    wrapProgram(nodes, lang, ctx, imports) {
+        const hoisted = [...ctx.hoisted].map(([name, type]) => hoistedDeclaration(name, type, lang));
+        const prelude = hoisted.length > 0 ? [hoisted.join("\n") + "\n"] : [];
+
+        // Input lines are read through one async iterator, which buffers lines that
+        // arrive before they are asked for (as piped input does); reading needs an async main()
+        if (someNode(nodes, (n) => n.type === "input")) {
+            const returns = lang === "typescript" ? ": Promise<string>" : "";
+            const setup = [
+                `${imports.join("\n")}\n`,
+                "const rl = readline.createInterface({ input: process.stdin });",
+                "const lines = rl[Symbol.asyncIterator]();\n",
+                "// The next line of input, or \"\" once it runs out",
+                `async function nextLine()${returns} {\n    const { value, done } = await lines.next();\n    return done ? "" : value;\n}\n`,
+            ].join("\n");
+            const { functions, statements } = splitFunctions(nodes);
+            const funcLines = functions.map((n) => generate(n, lang, ctx) + "\n");
+            const mainLines = statements.map((n) => indent(generate(n, lang, ctx), 1, lang));
+            const main = `async function main()${lang === "typescript" ? ": Promise<void>" : ""} {\n${mainLines.join("\n")}\n    rl.close();\n}\n\nmain();`;
+            return [setup, ...prelude, ...funcLines, main].join("\n");
+        }
+
+        // Without imports a TypeScript file is a global script, whose names can
+        // clash with the DOM library's globals (such as `name`)
+        const moduleMarker = lang === "typescript" ? ["\nexport {};"] : [];
+        return [...prelude, nodes.map((n) => generate(n, lang, ctx)).join("\n"), ...moduleMarker].join("\n");
+    },
+
+    highlight: {
+        keywords: /\b(let|const|var|function|async|await|return|if|else|for|of|in|while|do|switch|case|break|continue|new|class|extends|try|catch|finally|throw|typeof|instanceof|delete|this|import|export|from|require|true|false|null|undefined)\b/g,
+        builtins: /\b(console|log|Map|Set|Array|Object|Math|JSON|String|Number|process|readline|push|includes|indexOf|splice|sort|length|has|get|set|toUpperCase|toLowerCase|substring)\b/g,
+        strings: /(`(?:[^`\\]|\\.)*`|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/g,
+        comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
+        numbers: /\b(\d+\.?\d*)\b/g,
+    },
+};
+
+const typescript = {
+    ...javascript,
+    label: "TypeScript",
+    extension: "ts",
+    collectImports: (nodes) => (someNode(nodes, (n) => n.type === "input") ? ['import * as readline from "readline";'] : []),
+    highlight: {
+        ...javascript.highlight,
+        keywords: /\b(let|const|var|function|async|await|return|if|else|for|of|in|while|do|switch|case|break|continue|new|class|extends|try|catch|finally|throw|typeof|instanceof|delete|this|import|export|from|as|type|interface|true|false|null|undefined)\b/g,
+        types: /\b(number|string|boolean|any|void|unknown|never|Promise)\b/g,
+    },
+};
+
+export { javascript, typescript };
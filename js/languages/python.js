@@ -0,0 +1,140 @@
+/**
+ * Python Backend
+ * Programs are plain top-level statements; nothing needs importing.
+ */
+
+import { indent, isNumeric, generateExpr, zeroBased, methodTarget, templateInterpolation, templateJoin, generateCondition, generateBlock, collectionKind, generate } from "../codegen.js";
+
+// f-strings
+const TEMPLATE = {
+    wrap: (body) => `f"${body}"`,
+    field: (code) => `{${code}}`,
+    escape: (text) => text.replace(/[{}]/g, (brace) => brace + brace),
+};
+
+// An indented block under a `header:` line
+function block(header, body) {
+    return `${header}:\n${indent(body, 1, "python")}`;
+}
+
+// Keywords, and the built-ins generated code calls
+const PYTHON_RESERVED = [
+    "False", "None", "True", "and", "as", "assert", "async", "await", "break", "class",
+    "continue", "def", "del", "elif", "else", "except", "finally", "for", "from", "global",
+    "if", "import", "in", "is", "lambda", "nonlocal", "not", "or", "pass", "raise",
+    "return", "try", "while", "with", "yield", "len", "print", "input", "range", "int",
+    "float", "str",
+];
+
+const python = {
+    label: "Python",
+    extension: "py",
+    emptyBlock: "pass",
+    literals: { true: "True", false: "False", null: "None" },
+    looseMembership: true,
+    looseNot: true,
+    reservedWords: PYTHON_RESERVED,
+    operators: {
+        greater: ">",
+        less: "<",
+        equal: "==",
+        not_equal: "!=",
+        greater_equal: ">=",
+        less_equal: "<=",
+        and: "and",
+        or: "or",
+        not: "not ",
+        add: "+",
+        subtract: "-",
+        multiply: "*",
+        divide: "/",
+        modulus: "%",
+    },
+
+    expressions: {
+        index: (expr, lang, ctx) => `${expr.collection}[${zeroBased(expr.position, lang, ctx)}]`,
+        length: (expr) => `len(${expr.collection})`,
+        string_case: (expr, lang, ctx) => `${methodTarget(expr.value, lang, ctx)}.${expr.mode === "upper" ? "upper" : "lower"}()`,
+        substring(expr, lang, ctx) {
+            const start = zeroBased(expr.start, lang, ctx);
+            return `${methodTarget(expr.value, lang, ctx)}[${start === "0" ? "" : start}:${generateExpr(expr.end, lang, ctx)}]`;
+        },
+        join: (expr, lang, ctx) => templateJoin(expr, TEMPLATE, lang, ctx),
+        interpolation: (value) => templateInterpolation(value, TEMPLATE),
+        // Maps test their keys, strings their substrings
+        contains: (cond, lang, ctx) => `${generateExpr(cond.item, lang, ctx)} in ${cond.collection}`,
+        not_contains: (cond, lang, ctx) => `${generateExpr(cond.item, lang, ctx)} not in ${cond.collection}`,
+    },
+
+    emitters: {
+        variable_creation: (node, lang, ctx) => `${node.name} = ${generateExpr(node.value, lang, ctx)}`,
+        assignment: (node, lang, ctx) => `${node.name} = ${generateExpr(node.value, lang, ctx)}`,
+        // Values are separated by spaces, as Python's print() does
+        print: (node, lang, ctx) => `print(${node.values.map((v) => generateExpr(v, lang, ctx)).join(", ")})`,
+        // Input used as a number is converted
+        input(node, lang, ctx) {
+            const convert = { int: "int", double: "float" }[ctx.varTypes.get(node.variable)];
+            return `${node.variable} = ${convert ? `${convert}(input())` : "input()"}`;
+        },
+        arithmetic(node, lang, ctx) {
+            const expr = generateExpr({ type: "binary", operator: node.operator, left: node.left, right: node.right }, lang, ctx);
+            // No result variable — just the expression
+            return node.result ? `${node.result} = ${expr}` : expr;
+        },
+        increment: (node, lang, ctx) => `${node.variable} += ${generateExpr(node.amount, lang, ctx)}`,
+        decrement: (node, lang, ctx) => `${node.variable} -= ${generateExpr(node.amount, lang, ctx)}`,
+        if_statement(node, lang, ctx) {
+            let code = block(`if ${generateCondition(node.condition, lang, ctx)}`, generateBlock(node.thenBody, lang, ctx));
+            (node.elseIfs || []).forEach((b) => {
+                code += `\n${block(`elif ${generateCondition(b.condition, lang, ctx)}`, generateBlock(b.body, lang, ctx))}`;
+            });
+            const elseCode = node.elseBody && node.elseBody.length > 0 ? generateBlock(node.elseBody, lang, ctx) : null;
+            if (elseCode) code += `\n${block("else", elseCode)}`;
+            return code;
+        },
+        while_loop: (node, lang, ctx) => block(`while ${generateCondition(node.condition, lang, ctx)}`, generateBlock(node.body, lang, ctx)),
+        repeat_loop: (node, lang, ctx) => block(`for _ in range(${generateExpr(node.count, lang, ctx)})`, generateBlock(node.body, lang, ctx)),
+        break: () => "break",
+        continue: () => "continue",
+        for_loop(node, lang, ctx) {
+            const step = node.step ? generateExpr(node.step, lang, ctx) : "1";
+            const from = generateExpr(node.from, lang, ctx);
+            const to = generateExpr(node.to, lang, ctx);
+            // range() excludes its end, so an inclusive bound is bumped by one
+            const end = !node.inclusive ? to : isNumeric(node.to) ? String(Number(node.to) + 1) : `${to} + 1`;
+            const rangeArgs = step === "1" ? `${from}, ${end}` : `${from}, ${end}, ${step}`;
+            return block(`for ${node.variable} in range(${rangeArgs})`, generateBlock(node.body, lang, ctx));
+        },
+        function_def: (node, lang, ctx) => block(`def ${node.name}(${(node.params || []).join(", ")})`, generateBlock(node.body, lang, ctx)),
+        function_call: (node, lang, ctx) => `${node.name}(${(node.args || []).map((a) => generateExpr(a, lang, ctx)).join(", ")})`,
+        return: (node, lang, ctx) => (node.value ? `return ${generateExpr(node.value, lang, ctx)}` : "return"),
+        for_each: (node, lang, ctx) => block(`for ${node.variable} in ${node.iterable}`, generateBlock(node.body, lang, ctx)),
+        list_creation: (node) => `${node.name} = [${node.values.join(", ")}]`,
+        map_creation: (node) => `${node.name} = {}`,
+        map_put: (node, lang, ctx) => `${node.map}[${generateExpr(node.key, lang, ctx)}] = ${generateExpr(node.value, lang, ctx)}`,
+        map_get: (node, lang, ctx) => `${node.result} = ${node.map}[${generateExpr(node.key, lang, ctx)}]`,
+        sort: (node) => `${node.list}.sort()`,
+        remove(node, lang, ctx) {
+            const item = generateExpr(node.item, lang, ctx);
+            return collectionKind(node.collection, ctx) === "map" ? `del ${node.collection}[${item}]` : `${node.collection}.remove(${item})`;
+        },
+        for_each_entry: (node, lang, ctx) => block(`for ${node.key}, ${node.value} in ${node.map}.items()`, generateBlock(node.body, lang, ctx)),
+        append: (node, lang, ctx) => `${node.list}.append(${generateExpr(node.value, lang, ctx)})`,
+        comment: (node) => `# ${node.text}`,
+    },
+
+    collectImports: () => [],
+
+    // Top-level statements need no wrapper
+    wrapProgram: (nodes, lang, ctx) => nodes.map((node) => generate(node, lang, ctx)).join("\n"),
+
+    highlight: {
+        keywords: /\b(def|class|if|elif|else|for|while|return|import|from|as|with|try|except|finally|raise|pass|break|continue|and|or|not|in|is|lambda|yield|global|nonlocal|assert|del|True|False|None)\b/g,
+        builtins: /\b(print|range|len|str|int|float|list|dict|set|tuple|input|open|type|isinstance|enumerate|zip|map|filter|sorted|reversed|abs|min|max|sum|any|all|super)\b/g,
+        strings: /("""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/g,
+        comments: /(#.*$)/gm,
+        numbers: /\b(\d+\.?\d*)\b/g,
+    },
+};
+
+export { python };
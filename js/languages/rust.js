@@ -0,0 +1,288 @@
+/**
+ * Rust Backend
+ * Programs are wrapped in fn main(); functions are typed from their call
+ * sites, and values are cloned or borrowed where ownership requires.
+ */
+
+import {
+    C_OPERATORS,
+    indent,
+    braceBlock,
+    isNumeric,
+    inferType,
+    generateExpr,
+    zeroBased,
+    methodTarget,
+    isStringLiteral,
+    interpolationParts,
+    formatPieces,
+    formatArguments,
+    formatCall,
+    generateCondition,
+    generateBlock,
+    someNode,
+    collectionKind,
+    mapTypesOf,
+    TYPE_NAMES,
+    functionSignature,
+    splitFunctions,
+    repeatCounter,
+    braceIfStatement,
+    generate,
+} from "../codegen.js";
+
+// Rust has no catch-all value type; unknown parameters accept anything printable
+const RUST_TYPES = { int: "i32", double: "f64", string: "String", bool: "bool", auto: "impl std::fmt::Display" };
+// Initial values for Rust variables declared ahead of their first store
+const RUST_DEFAULTS = { int: "0", double: "0.0", string: "String::new()", bool: "false" };
+
+/**
+ * format!, which captures plain variables inside the format string and can
+ * only print collections in debug format.
+ */
+const FORMAT = {
+    call: "format!",
+    slot: (piece) => (piece.debug ? "{:?}" : "{}"),
+    inline: (piece) => (piece.variable ? `{${piece.code}${piece.debug ? ":?" : ""}}` : null),
+    escape: (text) => text.replace(/[{}]/g, (brace) => brace + brace),
+};
+
+// Element types that are copied rather than moved out of a collection
+function isCopyType(type) {
+    return ["int", "double", "bool"].includes(type);
+}
+
+/**
+ * Generate a value that is stored or passed by ownership: string literals
+ * become owned Strings and string variables are cloned rather than moved.
+ */
+function ownedExpr(value, lang, ctx) {
+    const code = generateExpr(value, lang, ctx);
+    if (isStringLiteral(value) && !interpolationParts(value)) return `${code}.to_string()`;
+    if (typeof value === "string" && ctx.varTypes.get(value) === "string") return `${code}.clone()`;
+    return code;
+}
+
+// Convert whole-number code to f64
+function asF64(code) {
+    return /^\w+$/.test(code) ? `${code} as f64` : `(${code}) as f64`;
+}
+
+// Rust never mixes integers and floats, so a whole number stored as an f64 gets a
+// fraction, or is converted when it is not a literal
+function rustNumber(value, type, ctx) {
+    const code = ownedExpr(value, "rust", ctx);
+    if (type !== "double" || inferType(value, ctx) !== "int") return code;
+    return isNumeric(value) ? `${value}.0` : asF64(code);
+}
+
+// An integer operand next to a float is converted, as Rust never mixes the two
+function rustOperand(code, value, other, ctx) {
+    if (inferType(other, ctx) !== "double" || inferType(value, ctx) !== "int") return code;
+    // Parenthesized, since "x as f64 < y" reads as a generic type
+    return isNumeric(value) ? `${value}.0` : `(${asF64(code)})`;
+}
+
+// A map key or search value, borrowed; string literals already are references
+function rustBorrow(value, lang, ctx) {
+    const code = generateExpr(value, lang, ctx);
+    return isStringLiteral(value) && !interpolationParts(value) ? code : `&${code}`;
+}
+
+// Variables are immutable unless stored again or modified in place
+function rustLet(name, ctx) {
+    return ctx.reassigned.has(name) || ctx.mutated.has(name) ? `let mut ${name}` : `let ${name}`;
+}
+
+// Store a value, declaring the variable on its first store (see createContext)
+function storeStatement(node, name, code, ctx) {
+    return ctx.implicitDeclarations.has(node) ? `${rustLet(name, ctx)} = ${code};` : `${name} = ${code};`;
+}
+
+// Declaration of a name first stored inside a nested block, placed at the top of its scope
+function hoistedDeclaration(name, type) {
+    return type === "auto" ? `let mut ${name};` : `let mut ${name} = ${RUST_DEFAULTS[type]};`;
+}
+
+// Indexes and slice bounds are usize
+function usize(code) {
+    return isNumeric(code) ? code : `(${code}) as usize`;
+}
+
+// Keywords (including those reserved for future use), and the names and types generated code uses
+const RUST_RESERVED = [
+    "abstract", "as", "async", "await", "become", "box", "break", "const", "continue",
+    "crate", "do", "dyn", "else", "enum", "extern", "false", "final", "fn", "for", "if",
+    "impl", "in", "let", "loop", "macro", "match", "mod", "move", "mut", "override", "priv",
+    "pub", "ref", "return", "self", "static", "struct", "super", "trait", "true", "try",
+    "type", "typeof", "unsafe", "unsized", "use", "virtual", "where", "while", "yield",
+    "main", "std", "io", "bool", "f64", "i32", "usize",
+];
+
+const rust = {
+    label: "Rust",
+    extension: "rs",
+    operators: C_OPERATORS,
+    reservedWords: RUST_RESERVED,
+    operand: rustOperand,
+
+    expressions: {
+        index(expr, lang, ctx) {
+            // A String cannot be moved out of a Vec
+            const clone = isCopyType(ctx.listTypes.get(expr.collection)) ? "" : ".clone()";
+            return `${expr.collection}[${usize(zeroBased(expr.position, lang, ctx))}]${clone}`;
+        },
+        length: (expr) => `${expr.collection}.len()`,
+        string_case: (expr, lang, ctx) => `${methodTarget(expr.value, lang, ctx)}.${expr.mode === "upper" ? "to_uppercase" : "to_lowercase"}()`,
+        substring: (expr, lang, ctx) =>
+            `${methodTarget(expr.value, lang, ctx)}[${usize(zeroBased(expr.start, lang, ctx))}..${usize(generateExpr(expr.end, lang, ctx))}].to_string()`,
+        // A format string, so parts of any type work
+        join: (expr, lang, ctx) => formatCall(formatPieces(expr, lang, ctx), FORMAT),
+        interpolation: (value, lang, ctx) => formatCall(formatPieces(value, lang, ctx), FORMAT),
+        contains(cond, lang, ctx) {
+            const target = rustBorrow(cond.item, lang, ctx);
+            const kind = collectionKind(cond.collection, ctx);
+            if (kind === "map") return `${cond.collection}.contains_key(${target})`;
+            if (kind === "string") return `${cond.collection}.contains(${target})`;
+            // A Vec<String> cannot be searched for a &str with contains()
+            if (ctx.listTypes.get(cond.collection) === "string" && isStringLiteral(cond.item)) {
+                return `${cond.collection}.iter().any(|x| x == ${generateExpr(cond.item, lang, ctx)})`;
+            }
+            // A Vec<f64> is searched for an f64
+            if (ctx.listTypes.get(cond.collection) === "double" && inferType(cond.item, ctx) === "int") {
+                const item = rustNumber(cond.item, "double", ctx);
+                return `${cond.collection}.contains(&${isNumeric(item) ? item : `(${item})`})`;
+            }
+            return `${cond.collection}.contains(${target})`;
+        },
+    },
+
+    emitters: {
+        variable_creation: (node, lang, ctx) => `${rustLet(node.name, ctx)} = ${rustNumber(node.value, ctx.varTypes.get(node.name), ctx)};`,
+        assignment: (node, lang, ctx) => storeStatement(node, node.name, rustNumber(node.value, ctx.varTypes.get(node.name), ctx), ctx),
+        // Values are separated by spaces, as Python's print() does
+        print(node, lang, ctx) {
+            const pieces = node.values.flatMap((v, i) => [...(i > 0 ? [{ text: " " }] : []), ...formatPieces(v, lang, ctx)]);
+            return `println!(${formatArguments(pieces, FORMAT)});`;
+        },
+        input(node, lang, ctx) {
+            const name = node.variable;
+            const type = ctx.varTypes.get(name);
+            // Input used as a number is parsed from a line of its own
+            if (type === "int" || type === "double") {
+                const read = `let mut line = String::new();\nio::stdin().read_line(&mut line).expect("Failed to read line");\nline.trim().parse::<${RUST_TYPES[type]}>().expect("Not a number")`;
+                return storeStatement(node, name, `{\n${indent(read, 1, lang)}\n}`, ctx);
+            }
+            const buffer = ctx.implicitDeclarations.has(node) ? `let mut ${name} = String::new();` : `${name}.clear();`;
+            return `${buffer}\nio::stdin().read_line(&mut ${name}).expect("Failed to read line");\n${name} = ${name}.trim().to_string();`;
+        },
+        arithmetic(node, lang, ctx) {
+            const binary = { type: "binary", operator: node.operator, left: node.left, right: node.right };
+            const expr = generateExpr(binary, lang, ctx);
+            if (!node.result) return expr; // No result variable — just the expression
+            const widen = ctx.varTypes.get(node.result) === "double" && inferType(binary, ctx) === "int";
+            return storeStatement(node, node.result, widen ? asF64(expr) : expr, ctx);
+        },
+        // Rust has no ++ or -- operator
+        increment: (node, lang, ctx) => `${node.variable} += ${rustNumber(node.amount, ctx.varTypes.get(node.variable), ctx)};`,
+        decrement: (node, lang, ctx) => `${node.variable} -= ${rustNumber(node.amount, ctx.varTypes.get(node.variable), ctx)};`,
+        // Conditions take no parentheses
+        if_statement: (node, lang, ctx) => braceIfStatement(node, lang, ctx, { parenthesize: false }),
+        while_loop(node, lang, ctx) {
+            const cond = generateCondition(node.condition, lang, ctx);
+            return braceBlock(cond === "true" ? "loop" : `while ${cond}`, generateBlock(node.body, lang, ctx), lang);
+        },
+        repeat_loop(node, lang, ctx) {
+            const { bodyCtx } = repeatCounter(ctx);
+            return braceBlock(`for _ in 0..${generateExpr(node.count, lang, ctx)}`, generateBlock(node.body, lang, bodyCtx), lang);
+        },
+        break: () => "break;",
+        continue: () => "continue;",
+        for_loop(node, lang, ctx) {
+            const step = node.step ? generateExpr(node.step, lang, ctx) : "1";
+            const range = `${generateExpr(node.from, lang, ctx)}..${node.inclusive ? "=" : ""}${generateExpr(node.to, lang, ctx)}`;
+            const iter = step === "1" ? range : `(${range}).step_by(${step})`;
+            return braceBlock(`for ${node.variable} in ${iter}`, generateBlock(node.body, lang, ctx), lang);
+        },
+        function_def(node, lang, ctx) {
+            const hoisted = [...(ctx.functionHoisted.get(node) || [])].map(([name, type]) => hoistedDeclaration(name, type));
+            const body = [...hoisted, generateBlock(node.body, lang, ctx)].filter((line) => line).join("\n");
+            const sig = functionSignature(node, ctx);
+            const params = sig.params.map((p) => `${p.name}: ${RUST_TYPES[p.type]}`).join(", ");
+            const returns = sig.returns === "void" ? "" : ` -> ${RUST_TYPES[sig.returns]}`;
+            return braceBlock(`fn ${node.name}(${params})${returns}`, body, lang);
+        },
+        function_call(node, lang, ctx) {
+            const paramTypes = ctx.paramTypes.get(node.name) || [];
+            return `${node.name}(${(node.args || []).map((a, i) => rustNumber(a, paramTypes[i], ctx)).join(", ")});`;
+        },
+        return: (node, lang, ctx) => (node.value ? `return ${ownedExpr(node.value, lang, ctx)};` : "return;"),
+        for_each(node, lang, ctx) {
+            // Borrow the list so it can still be used after the loop
+            const pattern = isCopyType(ctx.listTypes.get(node.iterable) || "auto") ? `&${node.variable}` : node.variable;
+            return braceBlock(`for ${pattern} in &${node.iterable}`, generateBlock(node.body, lang, ctx), lang);
+        },
+        list_creation(node, lang, ctx) {
+            // Every element of a Vec has the same type
+            const elemType = ctx.listTypes.get(node.name) || "auto";
+            // An empty vec! has nothing to infer its type from
+            if (node.values.length === 0) return `${rustLet(node.name, ctx)}: Vec<${elemType === "auto" ? "String" : RUST_TYPES[elemType]}> = vec![];`;
+            return `${rustLet(node.name, ctx)} = vec![${node.values.map((v) => rustNumber(v, elemType, ctx)).join(", ")}];`;
+        },
+        map_creation: (node, lang, ctx) => `${rustLet(node.name, ctx)} = HashMap::new();`,
+        map_put: (node, lang, ctx) => `${node.map}.insert(${ownedExpr(node.key, lang, ctx)}, ${ownedExpr(node.value, lang, ctx)});`,
+        map_get(node, lang, ctx) {
+            // Indexing panics on a missing key, like Java's and C++'s lookups fail
+            const clone = isCopyType(mapTypesOf(node.map, ctx).value) ? "" : ".clone()";
+            return storeStatement(node, node.result, `${node.map}[${rustBorrow(node.key, lang, ctx)}]${clone}`, ctx);
+        },
+        sort(node, lang, ctx) {
+            // f64 has no total order, so floats are compared explicitly
+            return ctx.listTypes.get(node.list) === "double"
+                ? `${node.list}.sort_by(|a, b| a.partial_cmp(b).unwrap());`
+                : `${node.list}.sort();`;
+        },
+        remove(node, lang, ctx) {
+            const c = node.collection;
+            if (collectionKind(c, ctx) === "map") return `${c}.remove(${rustBorrow(node.item, lang, ctx)});`;
+            return `if let Some(i) = ${c}.iter().position(|x| *x == ${generateExpr(node.item, lang, ctx)}) {\n    ${c}.remove(i);\n}`;
+        },
+        for_each_entry: (node, lang, ctx) => braceBlock(`for (${node.key}, ${node.value}) in &${node.map}`, generateBlock(node.body, lang, ctx), lang),
+        append: (node, lang, ctx) => `${node.list}.push(${rustNumber(node.value, ctx.listTypes.get(node.list), ctx)});`,
+        comment: (node) => `// ${node.text}`,
+    },
+
+    // A Vec holds a single element type
+    unsupported: (nodes, ctx) => ctx.mixedLists.map(({ name, from, to, line }) => ({
+        line: line || 0,
+        error: `List "${name}" mixes ${TYPE_NAMES[from]} and ${TYPE_NAMES[to]}; a Rust Vec holds a single element type`,
+    })),
+
+    collectImports(nodes) {
+        const uses = [];
+        if (someNode(nodes, (n) => n.type === "map_creation")) uses.push("use std::collections::HashMap;");
+        if (someNode(nodes, (n) => n.type === "input")) uses.push("use std::io;");
+        return uses;
+    },
+
+    // Functions go before fn main(), the rest inside it
+    wrapProgram(nodes, lang, ctx, imports) {
+        const hoisted = [...ctx.hoisted].map(([name, type]) => hoistedDeclaration(name, type));
+        const { functions, statements } = splitFunctions(nodes);
+        const funcLines = functions.map((n) => generate(n, lang, ctx));
+        const main = braceBlock("fn main()", [...hoisted, ...statements.map((n) => generate(n, lang, ctx))].join("\n"), lang);
+        const uses = imports.length > 0 ? imports.join("\n") + "\n\n" : "";
+        return `${uses}${[...funcLines, main].join("\n\n")}`;
+    },
+
+    highlight: {
+        keywords: /\b(fn|let|mut|return|if|else|for|in|while|loop|match|break|continue|use|mod|pub|struct|enum|impl|trait|as|ref|move|Some|None|true|false)\b/g,
+        builtins: /\b(println|format|vec|std|io|stdin|read_line|expect|collections|HashMap|new|push|insert|remove|contains|contains_key|iter|position|any|sort|sort_by|len|clone|to_string|trim|clear|to_uppercase|to_lowercase|step_by)\b/g,
+        strings: /("(?:[^"\\]|\\.)*")/g,
+        comments: /(\/\/.*$|\/\*[\s\S]*?\*\/)/gm,
+        numbers: /\b(\d+\.?\d*)\b/g,
+        types: /\b(i32|f64|bool|String|str|Vec|usize)\b/g,
+    },
+};
+
+export { rust };
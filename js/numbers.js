@@ -0,0 +1,175 @@
+/**
+ * Number Words Module
+ * Reads numbers written out in English into digits, so the tokenizer sees
+ * NUMBER tokens: cardinals up to the millions ("twenty five", "one hundred
+ * thousand"), decimals ("three point five") and negatives ("negative two").
+ * Ordinals become numbers where they pick an item ("the third item" → "item 3");
+ * elsewhere words like "first" and "second" stay names.
+ */
+
+const UNITS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+
+const TEENS = {
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+    fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+};
+
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+const SCALES = { thousand: 1000, million: 1000000 };
+
+// Decimal places are read one digit word at a time
+const DIGITS = { zero: 0, ...UNITS };
+
+// Ordinals whose cardinal is not just the word without "th" / "ieth"
+const IRREGULAR_ORDINALS = { first: "one", second: "two", third: "three", fifth: "five", eighth: "eight", ninth: "nine", twelfth: "twelve" };
+
+// The nouns an ordinal counts; "third item" is read as "item 3"
+const ORDINAL_NOUNS = new Set(["item", "element"]);
+
+// Helper: whether a word is part of a cardinal number
+function isCardinalWord(word) {
+    return word === "zero" || word === "hundred" || [UNITS, TEENS, TENS, SCALES].some((table) => table[word] !== undefined);
+}
+
+// Helper: the cardinal word of an ordinal ("third" → "three", "twentieth" → "twenty"), or null
+function cardinalOf(word) {
+    if (IRREGULAR_ORDINALS[word]) return IRREGULAR_ORDINALS[word];
+    const cardinal = word.endsWith("ieth") ? `${word.slice(0, -4)}y` : word.endsWith("th") ? word.slice(0, -2) : null;
+    return cardinal && cardinal !== "zero" && isCardinalWord(cardinal) ? cardinal : null;
+}
+
+// Helper: skip an "and" joining a hundred or scale word to the tens and units after it
+// ("one hundred and five"); any other "and" ends the number
+function skipAnd(texts, j) {
+    const next = texts[j + 1];
+    return texts[j] === "and" && (UNITS[next] || TEENS[next] || TENS[next]) ? j + 1 : j;
+}
+
+/**
+ * Read the group before a scale word: [unit or teen] hundred ("twelve hundred"
+ * is 1200), then [and] tens and a unit, or a teen.
+ * @returns {{ value: number, next: number } | null}
+ */
+function readHundreds(texts, i) {
+    let value = 0;
+    let j = i;
+    const count = UNITS[texts[j]] || TEENS[texts[j]];
+    if (count && texts[j + 1] === "hundred") {
+        value = count * 100;
+        j = skipAnd(texts, j + 2);
+    } else if (texts[j] === "hundred") {
+        value = 100;
+        j = skipAnd(texts, j + 1);
+    }
+    if (TENS[texts[j]]) {
+        value += TENS[texts[j]];
+        j++;
+        if (UNITS[texts[j]]) value += UNITS[texts[j++]];
+    } else if (TEENS[texts[j]] || UNITS[texts[j]]) {
+        value += TEENS[texts[j]] || UNITS[texts[j]];
+        j++;
+    }
+    return j === i ? null : { value, next: j };
+}
+
+/**
+ * Read a cardinal: "zero", or groups of hundreds each followed by a
+ * smaller scale word than the last ("two million five hundred thousand and ten").
+ * @returns {{ value: number, next: number } | null}
+ */
+function readCardinal(texts, i) {
+    if (texts[i] === "zero") return { value: 0, next: i + 1 };
+    let value = 0;
+    let j = i;
+    let scale = Infinity;
+    for (;;) {
+        const group = readHundreds(texts, j);
+        const after = group ? group.next : j;
+        const next = SCALES[texts[after]];
+        // A scale word alone counts one of it, but only at the start ("thousand" → 1000)
+        if (next && next < scale && (group || j === i)) {
+            value += (group ? group.value : 1) * next;
+            scale = next;
+            j = skipAnd(texts, after + 1);
+            continue;
+        }
+        if (group) {
+            value += group.value;
+            j = group.next;
+        }
+        break;
+    }
+    return j === i ? null : { value, next: j };
+}
+
+/**
+ * Read a number: an optional "negative", a cardinal and optional decimal
+ * places after "point".
+ * @returns {{ text: string, next: number } | null} The number in digits
+ */
+function readNumber(texts, i) {
+    const negative = texts[i] === "negative";
+    const whole = readCardinal(texts, negative ? i + 1 : i);
+    if (!whole) return null;
+    let text = String(whole.value);
+    let j = whole.next;
+    if (texts[j] === "point" && DIGITS[texts[j + 1]] !== undefined) {
+        text += ".";
+        for (j++; DIGITS[texts[j]] !== undefined; j++) text += DIGITS[texts[j]];
+    }
+    return { text: negative ? `-${text}` : text, next: j };
+}
+
+/**
+ * Read an ordinal counting an item: cardinal words ending in an ordinal
+ * ("twenty first"), or digits with a suffix ("21st"), followed by an ordinal noun.
+ * `cardinals` are the words with ordinals read as their cardinals.
+ * @returns {{ text: string, next: number } | null} The position in digits; `next` is the noun's index
+ */
+function readOrdinal(texts, cardinals, i) {
+    const suffixed = /^(\d+)(?:st|nd|rd|th)$/.exec(texts[i] || "");
+    if (suffixed && ORDINAL_NOUNS.has(texts[i + 1])) return { text: suffixed[1], next: i + 1 };
+
+    // Only the last word read may have been an ordinal
+    const read = readCardinal(cardinals, i);
+    if (!read || !ORDINAL_NOUNS.has(texts[read.next])) return null;
+    const ordinals = texts.slice(i, read.next).filter((text) => cardinalOf(text));
+    if (ordinals.length !== 1 || !cardinalOf(texts[read.next - 1])) return null;
+    return { text: String(read.value), next: read.next };
+}
+
+/**
+ * Replace spelled-out numbers with digits. A number spans all of its words; an
+ * ordinal and the noun it counts are swapped ("third item" → "item 3") and both
+ * span the two.
+ * @param {Array<{text: string, start: number, end: number}>} words - Lowercased words
+ * @returns {Array<{text: string, start: number, end: number}>} Words with numbers in digits
+ */
+function readNumberWords(words) {
+    const texts = words.map((word) => word.text);
+    const cardinals = texts.map((text) => cardinalOf(text) || text);
+    const result = [];
+    let i = 0;
+    while (i < words.length) {
+        const ordinal = readOrdinal(texts, cardinals, i);
+        if (ordinal) {
+            const noun = words[ordinal.next];
+            const span = { start: words[i].start, end: noun.end };
+            result.push({ ...noun, ...span }, { text: ordinal.text, ...span });
+            i = ordinal.next + 1;
+            continue;
+        }
+        const number = readNumber(texts, i);
+        if (number) {
+            result.push({ text: number.text, start: words[i].start, end: words[number.next - 1].end });
+            i = number.next;
+            continue;
+        }
+        result.push(words[i]);
+        i++;
+    }
+    return result;
+}
+
+export { readNumberWords };
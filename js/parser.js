@@ -1,17 +1,35 @@
 /**
  * Parser Module
  * Takes tokenized input and matches it against grammar rules to produce AST nodes.
+ * Block statements (if/while/for/for-each/function) hold their bodies as arrays of nodes,
+ * either from an inline one-line body or from an indented / `end`-terminated block.
  */
 
-import { GRAMMAR_RULES } from "./grammar.js";
-import { tokenize } from "./tokenizer.js";
+import { GRAMMAR_RULES, parseCondition } from "./grammar.js";
+import { tokenize, sourceText, TokenType } from "./tokenizer.js";
+import { suggestCorrection } from "./suggestions.js";
 
 /**
- * Parse a token array into an AST node.
+ * Node types whose body can span several lines.
+ */
+const BLOCK_TYPES = new Set([
+    "function_def", "for_loop", "for_each", "for_each_entry", "while_loop", "repeat_loop", "if_statement",
+]);
+
+/**
+ * Node types whose body is a loop body (where break/continue are allowed).
+ */
+const LOOP_TYPES = new Set(["for_loop", "for_each", "for_each_entry", "while_loop", "repeat_loop"]);
+
+/**
+ * Parse a token array into an AST node. When the tokens carry columns and the
+ * original `source` line is given, a failure quotes the user's own text and
+ * reports the `start`/`end` columns of the word where the command went wrong.
  * @param {Array} tokens - Array of token objects from the tokenizer
- * @returns {{ success: boolean, node?: object, error?: string }}
+ * @param {string} [source] - The original line the tokens came from
+ * @returns {{ success: boolean, node?: object, error?: string, start?: number, end?: number }}
  */
-function parse(tokens) {
+function parse(tokens, source) {
     if (!tokens || tokens.length === 0) {
         return { success: false, error: "Empty input" };
     }
@@ -19,41 +37,71 @@ function parse(tokens) {
     for (const rule of GRAMMAR_RULES) {
         const node = rule.match(tokens);
         if (node) {
-            // If the node has sub-tokens (bodyTokens, thenTokens, elseTokens),
-            // try to parse them recursively
-            if (node.bodyTokens && node.bodyTokens.length > 0) {
-                const bodyParsed = parse(node.bodyTokens);
-                if (bodyParsed.success) {
-                    node.body = bodyParsed.node;
-                }
-                delete node.bodyTokens;
-            }
-            if (node.thenTokens && node.thenTokens.length > 0) {
-                const thenParsed = parse(node.thenTokens);
-                if (thenParsed.success) {
-                    node.thenBody = thenParsed.node;
-                }
-                delete node.thenTokens;
-            }
-            if (node.elseTokens && node.elseTokens.length > 0) {
-                const elseParsed = parse(node.elseTokens);
-                if (elseParsed.success) {
-                    node.elseBody = elseParsed.node;
+            // If the node (or one of its else-if branches) has sub-tokens
+            // (bodyTokens, thenTokens, elseTokens), parse them recursively
+            // into single-statement bodies
+            const subBodies = [
+                ["bodyTokens", "body"],
+                ["thenTokens", "thenBody"],
+                ["elseTokens", "elseBody"],
+            ];
+            const branches = [node, ...(node.elseIfs || [])];
+            for (const branch of branches) {
+                for (const [tokenKey, bodyKey] of subBodies) {
+                    if (!(tokenKey in branch)) continue;
+                    const subTokens = branch[tokenKey];
+                    delete branch[tokenKey];
+                    branch[bodyKey] = [];
+                    if (subTokens.length === 0) continue;
+                    const subParsed = parse(subTokens, source);
+                    if (!subParsed.success) return subParsed;
+                    branch[bodyKey].push(subParsed.node);
                 }
-                delete node.elseTokens;
             }
 
             return { success: true, node };
         }
     }
 
-    const input = tokens.map((t) => t.value).join(" ");
+    const suggestion = suggestCorrection(tokens, source);
+    const offending = (suggestion && suggestion.token) || offendingToken(tokens);
+    const input = sourceText(tokens, source);
+    const word = sourceText([offending], source);
     return {
         success: false,
-        error: `Unrecognized command: "${input}".\nTry patterns like: "create variable x value 10", "print x", "if x greater than 5 then print x"`,
+        error: `Unrecognized command: "${input}" (at "${word}").\n${recoveryHint(suggestion, input)}`,
+        ...spanOf(offending),
     };
 }
 
+// Helper: how to fix an unrecognized command — the closest rule's corrected
+// sentence and what it is missing, or a few example patterns
+function recoveryHint(suggestion, input) {
+    if (!suggestion) return `Try patterns like: "create variable x value 10", "print x", "if x greater than 5 then print x"`;
+    const { rule, sentence, missing } = suggestion;
+    const pattern = rule.name.replace(/_/g, " ");
+    if (missing.length > 0) return `Did you mean "${sentence}"? The ${pattern} pattern needs ${missing.map((part) => `"${part}"`).join(" and ")}.`;
+    if (sentence !== input) return `Did you mean "${sentence}"?`;
+    return `The ${pattern} pattern is "${rule.usage.replace(/\.\.\./g, "")}".`;
+}
+
+// Helper: the token where a command stops making sense — the first word that
+// is not a word at all, else the one after the longest prefix that parses
+function offendingToken(tokens) {
+    const unknown = tokens.find((t) => t.type === TokenType.UNKNOWN);
+    if (unknown) return unknown;
+    for (let length = tokens.length - 1; length > 0; length--) {
+        const prefix = tokens.slice(0, length);
+        if (GRAMMAR_RULES.some((rule) => rule.match(prefix))) return tokens[length];
+    }
+    return tokens[0];
+}
+
+// Helper: the columns of the first (to the last) token, when they are known
+function spanOf(first, last = first) {
+    return first && first.start !== undefined ? { start: first.start, end: last.end } : {};
+}
+
 /**
  * Parse a preprocessed string directly (tokenize + parse).
  * @param {string} preprocessedLine - A single preprocessed line
@@ -64,4 +112,209 @@ function parseLine(preprocessedLine) {
     return parse(tokens);
 }
 
-export { parse, parseLine };
+// ─── Block structure ───
+
+// Helper: check whether a token list starts with a given keyword
+function startsWithKw(tokens, value) {
+    return tokens.length > 0 && tokens[0].type === TokenType.KEYWORD && tokens[0].value === value;
+}
+
+// Helper: statement lists nested directly inside a node
+function nestedBlocks(node) {
+    const elseIfBodies = (node.elseIfs || []).map((branch) => branch.body);
+    return [node.body, node.thenBody, ...elseIfBodies, node.elseBody].filter(Array.isArray);
+}
+
+// Helper: whether the bodies of a node are inside a loop.
+// Function bodies start a fresh scope, so an enclosing loop does not count.
+function bodiesInLoop(node, inLoop) {
+    return LOOP_TYPES.has(node.type) || (inLoop && node.type !== "function_def");
+}
+
+// Helper: find a break/continue that is not inside a loop body
+function strayLoopControl(node, inLoop) {
+    if ((node.type === "break" || node.type === "continue") && !inLoop) return node.type;
+    const bodyInLoop = bodiesInLoop(node, inLoop);
+    for (const block of nestedBlocks(node)) {
+        for (const child of block) {
+            const stray = strayLoopControl(child, bodyInLoop);
+            if (stray) return stray;
+        }
+    }
+    return null;
+}
+
+// Helper: a header line opens a block when it was written without an inline body
+function opensBlock(node) {
+    if (!BLOCK_TYPES.has(node.type)) return false;
+    if (node.type === "if_statement") {
+        return node.thenBody.length === 0 && node.elseIfs.length === 0 && node.elseBody.length === 0;
+    }
+    return node.body.length === 0;
+}
+
+// Tokens of an input line, with columns when the line kept its preprocessed words
+function lineTokens(entry) {
+    return tokenize(entry.words || entry.text);
+}
+
+// Error for a break/continue outside a loop, pointing at the keyword
+function strayError(stray, tokens, entry) {
+    const keyword = tokens.find((t) => t.type === TokenType.KEYWORD && t.value === stray);
+    return { line: entry.line, error: `"${stray}" can only be used inside a loop`, ...spanOf(keyword) };
+}
+
+// Record the input line on a statement and on the inline statements nested in it
+function markLine(node, line) {
+    node.line = line;
+    const elseIfBodies = (node.elseIfs || []).map((branch) => branch.body);
+    [node.body, node.thenBody, ...elseIfBodies, node.elseBody]
+        .filter(Array.isArray)
+        .forEach((block) => block.forEach((child) => markLine(child, line)));
+    return node;
+}
+
+/**
+ * Parse the statements of one block.
+ * In indented mode the block ends at the first line indented no deeper than
+ * `parentIndent`; in `end` mode it ends at an `end` or `else` line, which is
+ * left for the enclosing header to consume.
+ */
+function parseBlock(state, parentIndent, endMode, inLoop) {
+    const nodes = [];
+
+    while (state.pos < state.lines.length) {
+        const entry = state.lines[state.pos];
+        if (!endMode && entry.indent <= parentIndent) break;
+
+        const tokens = lineTokens(entry);
+        state.totalTokens += tokens.length;
+
+        if (startsWithKw(tokens, "end") || startsWithKw(tokens, "else")) {
+            if (endMode) {
+                state.totalTokens -= tokens.length;
+                break;
+            }
+            state.errors.push({ line: entry.line, error: `Unexpected "${tokens[0].value}" outside of a block`, ...spanOf(tokens[0]) });
+            state.pos++;
+            continue;
+        }
+
+        state.pos++;
+        const result = parse(tokens, entry.source);
+        if (!result.success) {
+            state.errors.push({ line: entry.line, error: result.error, ...spanOf(result) });
+            continue;
+        }
+
+        const stray = strayLoopControl(result.node, inLoop);
+        if (stray) {
+            state.errors.push(strayError(stray, tokens, entry));
+            continue;
+        }
+
+        markLine(result.node, entry.line);
+        if (opensBlock(result.node)) {
+            parseBlockBody(state, result.node, entry, inLoop);
+        }
+        nodes.push(result.node);
+    }
+
+    return nodes;
+}
+
+/**
+ * Attach the multi-line body that follows a block header line.
+ */
+function parseBlockBody(state, node, header, inLoop) {
+    const next = state.lines[state.pos];
+    const endMode = !next || next.indent <= header.indent;
+    const bodyKey = node.type === "if_statement" ? "thenBody" : "body";
+    const bodyInLoop = bodiesInLoop(node, inLoop);
+
+    node[bodyKey] = parseBlock(state, header.indent, endMode, bodyInLoop);
+
+    if (node.type === "if_statement") {
+        parseElseChain(state, node, header, endMode, bodyInLoop);
+    }
+
+    // `end` closes the block; it is required in end mode and optional after an indented block
+    const endEntry = state.lines[state.pos];
+    const endTokens = endEntry ? lineTokens(endEntry) : [];
+    if (endEntry && startsWithKw(endTokens, "end") && (endMode || endEntry.indent === header.indent)) {
+        state.totalTokens += endTokens.length;
+        state.pos++;
+    } else if (endMode) {
+        state.errors.push({ line: header.line, error: `Block started here is missing a closing "end"`, ...spanOf(lineTokens(header)[0]) });
+    }
+}
+
+/**
+ * Parse the `else if ...` / `else` lines that continue a block if statement.
+ * Each line closes the previous branch; a plain `else` is always the last one.
+ */
+function parseElseChain(state, node, header, endMode, inLoop) {
+    while (state.pos < state.lines.length) {
+        const entry = state.lines[state.pos];
+        if (!endMode && entry.indent !== header.indent) return;
+        const tokens = lineTokens(entry);
+        if (!startsWithKw(tokens, "else")) return;
+        state.totalTokens += tokens.length;
+        state.pos++;
+
+        if (startsWithKw(tokens.slice(1), "if")) {
+            const parsed = parseCondition(tokens, 2);
+            if (!parsed) {
+                const condition = tokens.length > 2 ? spanOf(tokens[2], tokens[tokens.length - 1]) : spanOf(tokens[1]);
+                state.errors.push({ line: entry.line, error: `Could not read the condition of "else if"`, ...condition });
+                return;
+            }
+            let bodyStart = parsed.nextIndex;
+            if (startsWithKw(tokens.slice(bodyStart), "then")) bodyStart++;
+            const body = parseBranchBody(state, tokens.slice(bodyStart), entry, header, endMode, inLoop);
+            node.elseIfs.push({ condition: parsed.condition, body });
+            continue;
+        }
+
+        node.elseBody = parseBranchBody(state, tokens.slice(1), entry, header, endMode, inLoop);
+        return;
+    }
+}
+
+/**
+ * Parse the body of one else / else-if branch: an inline statement after the
+ * branch keyword, and/or the lines that follow it.
+ */
+function parseBranchBody(state, inlineTokens, entry, header, endMode, inLoop) {
+    if (inlineTokens.length > 0) {
+        const body = [];
+        const inline = parse(inlineTokens, entry.source);
+        const stray = inline.success && strayLoopControl(inline.node, inLoop);
+        if (!inline.success) state.errors.push({ line: entry.line, error: inline.error, ...spanOf(inline) });
+        else if (stray) state.errors.push(strayError(stray, inlineTokens, entry));
+        else body.push(markLine(inline.node, entry.line));
+        if (endMode) body.push(...parseBlock(state, header.indent, true, inLoop));
+        return body;
+    }
+
+    const next = state.lines[state.pos];
+    const branchEndMode = endMode || !next || next.indent <= header.indent;
+    return parseBlock(state, header.indent, branchEndMode, inLoop);
+}
+
+/**
+ * Parse a whole program into a list of top-level AST nodes with nested bodies.
+ * Every statement node records the input `line` it came from. Errors on lines
+ * that kept their preprocessed words also give the `start`/`end` columns of
+ * the offending text in the original line.
+ * @param {Array<{line: number, indent: number, text: string, source?: string, words?: Array}>} lines - Output of preprocessLines
+ * @returns {{ nodes: Array, errors: Array<{line: number, error: string, start?: number, end?: number}>, totalTokens: number }}
+ */
+function parseProgram(lines) {
+    const state = { lines: lines || [], pos: 0, errors: [], totalTokens: 0 };
+    const nodes = parseBlock(state, -1, false, false);
+    state.errors.sort((a, b) => a.line - b.line);
+    return { nodes, errors: state.errors, totalTokens: state.totalTokens };
+}
+
+export { parse, parseLine, parseProgram };
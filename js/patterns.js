@@ -0,0 +1,283 @@
+/**
+ * Pattern Module
+ * A small language for command patterns, compiled into matchers that build
+ * AST nodes and checked against each other for ambiguity.
+ *
+ *   for {variable:id} from {start:expr} to {end:expr} [by {step:expr}] [[do] {body:stmt}]
+ *
+ *   - Words are plain English, compared after the synonym normalization of the
+ *     input ("times" matches "multiply"); "up_to" is the phrase "up to" and
+ *     "a|b" accepts either word.
+ *   - {name:kind} captures what a capture kind reads there (the kinds are given
+ *     by the grammar); {name:a|b} captures which of the words was written.
+ *   - [...] marks an optional part. Optional parts are tried before skipping them.
+ * A pattern matches a command only when it accounts for every token.
+ */
+
+import { preprocess } from "./preprocessor.js";
+import { KEYWORDS, TokenType } from "./tokenizer.js";
+
+// ─── Shapes ───
+// The tokens a capture kind can read, as a regular language over token tests.
+// Shapes only drive the ambiguity checks, so nested expressions may be approximated.
+
+const shape = {
+    // One token passing `test`; `words` are the plain words the test tells apart
+    token: (test, ...words) => ({ kind: "token", test, words }),
+    // One keyword or plain word with one of these (normalized) values
+    word: (...values) => shape.token((t) => isWordToken(t) && values.includes(t.value), ...values),
+    seq: (...parts) => ({ kind: "seq", parts }),
+    alt: (...parts) => ({ kind: "alt", parts }),
+    optional: (part) => ({ kind: "alt", parts: [part, { kind: "seq", parts: [] }] }),
+    many: (part) => ({ kind: "many", part }),
+};
+
+// Helper: a keyword or plain word (the tokens pattern words match)
+function isWordToken(token) {
+    return token && (token.type === TokenType.KEYWORD || token.type === TokenType.IDENTIFIER);
+}
+
+// ─── Compiling ───
+
+/**
+ * Compile pattern text into its elements: { word }, { capture, kind } or
+ * { capture, word } for a captured choice of words, and { optional: [...] }.
+ */
+function compilePattern(pattern, kinds, where) {
+    const stack = [[]];
+    const names = new Set();
+    for (const piece of pattern.match(/\[|\]|\{[^}]*\}|[^\s[\]{}]+/g) || []) {
+        const elements = stack[stack.length - 1];
+        if (piece === "[") {
+            const optional = [];
+            elements.push({ optional });
+            stack.push(optional);
+        } else if (piece === "]") {
+            if (stack.length === 1) throw new Error(`${where}: unmatched "]"`);
+            stack.pop();
+        } else if (piece.startsWith("{")) {
+            const [, name, kind] = piece.match(/^\{(\w+):([\w|]+)\}$/) || [];
+            if (!name) throw new Error(`${where}: captures are written {name:kind}, not ${piece}`);
+            if (names.has(name)) throw new Error(`${where}: capture "${name}" appears twice`);
+            names.add(name);
+            if (kind.includes("|") || !kinds[kind]) {
+                if (!kind.includes("|")) throw new Error(`${where}: unknown capture kind "${kind}"`);
+                elements.push({ capture: name, word: compileWord(kind, where) });
+            } else {
+                elements.push({ capture: name, kind, rest: Boolean(kinds[kind].rest) });
+            }
+        } else {
+            elements.push({ word: compileWord(piece, where) });
+        }
+    }
+    if (stack.length > 1) throw new Error(`${where}: unclosed "["`);
+    return stack[0];
+}
+
+// A pattern word: its English spellings and the token values they stand for,
+// normalized or (for lines that skipped preprocessing) as written
+function compileWord(text, where) {
+    const words = text.split("|").map((word) => word.replace(/_/g, " "));
+    const forms = words.map((word) => {
+        const form = preprocess(word);
+        if (!form || form.includes(" ")) throw new Error(`${where}: "${word}" does not normalize to a single word`);
+        return form;
+    });
+    const written = words.filter((word) => !word.includes(" "));
+    return { words, forms: [...new Set([...forms, ...written])] };
+}
+
+// The usage line shown to users: captures become <name>, rest-of-line captures <name...>
+function usageOf(elements) {
+    return elements
+        .map((element) => {
+            if (element.optional) return `[${usageOf(element.optional)}]`;
+            if (element.word) return element.word.words.join("|");
+            return `<${element.capture}${element.rest ? "..." : ""}>`;
+        })
+        .join(" ");
+}
+
+// ─── Matching ───
+
+// Match elements[k..] at tokens[i..], then hand the position and captures on to `done`
+function matchFrom(elements, k, tokens, i, captures, kinds, done) {
+    if (k === elements.length) return done(i, captures);
+    const element = elements[k];
+    const rest = (next, found) => matchFrom(elements, k + 1, tokens, next, found, kinds, done);
+
+    if (element.optional) {
+        return matchFrom(element.optional, 0, tokens, i, captures, kinds, rest) || rest(i, captures);
+    }
+    if (element.word) {
+        const token = tokens[i];
+        if (!isWordToken(token) || !element.word.forms.includes(token.value)) return null;
+        return rest(i + 1, element.capture ? { ...captures, [element.capture]: token.value } : captures);
+    }
+    const read = kinds[element.kind].read(tokens, i);
+    if (!read) return null;
+    return rest(read.nextIndex, { ...captures, [element.capture]: read.value });
+}
+
+/**
+ * Define a grammar rule from its pattern.
+ * @param {{ name: string, pattern: string, build?: Function, overrides?: Array<string> }} spec
+ *   `build(captures)` turns the captures into an AST node, or null to reject
+ *   the match; by default the node is { type: name, ...captures }. `overrides`
+ *   names later rules this one deliberately wins over where both match.
+ * @param {object} kinds - Capture kinds: { read(tokens, i) → { value, nextIndex } | null, shape, rest? }
+ * @returns {{ name: string, usage: string, match: Function }} The rule, with `match(tokens)` → node or null
+ */
+function defineRule(spec, kinds) {
+    const where = `Rule "${spec.name}"`;
+    const elements = compilePattern(spec.pattern, kinds, where);
+    const build = spec.build || ((captures) => ({ type: spec.name, ...captures }));
+    return {
+        name: spec.name,
+        pattern: spec.pattern,
+        usage: usageOf(elements),
+        elements,
+        kinds,
+        overrides: spec.overrides || [],
+        match(tokens) {
+            const captures = matchFrom(elements, 0, tokens, 0, {}, kinds, (i, found) => (i === tokens.length ? found : null));
+            return captures ? build(captures) : null;
+        },
+    };
+}
+
+// ─── Ambiguity Checks ───
+
+// The shape of everything a pattern can match
+function patternShape(elements, kinds) {
+    return shape.seq(
+        ...elements.map((element) => {
+            if (element.optional) return shape.optional(patternShape(element.optional, kinds));
+            if (element.word) return shape.word(...element.word.forms);
+            return kinds[element.kind].shape;
+        }),
+    );
+}
+
+// Build a nondeterministic automaton for a shape: per state, token edges and empty moves
+function buildAutomaton(root, alphabet) {
+    const edges = [];
+    const empty = [];
+    const state = () => {
+        edges.push([]);
+        empty.push([]);
+        return edges.length - 1;
+    };
+    const add = (node, from) => {
+        if (node.kind === "token") {
+            const to = state();
+            edges[from].push({ to, symbols: alphabet.map((symbol) => Boolean(node.test(symbol.token))) });
+            return to;
+        }
+        if (node.kind === "seq") return node.parts.reduce((at, part) => add(part, at), from);
+        if (node.kind === "alt") {
+            const end = state();
+            node.parts.forEach((part) => empty[add(part, from)].push(end));
+            return end;
+        }
+        const loop = state();
+        empty[from].push(loop);
+        empty[add(node.part, loop)].push(loop);
+        return loop;
+    };
+    const start = state();
+    return { edges, empty, start, accept: add(root, start) };
+}
+
+// The plain words any shape tells apart
+function shapeWords(node, words) {
+    if (node.kind === "token") node.words.forEach((word) => words.add(word));
+    else (node.parts || [node.part]).forEach((part) => shapeWords(part, words));
+    return words;
+}
+
+// One representative token for every kind of token the shapes can tell apart
+function buildAlphabet(shapes) {
+    const words = new Set();
+    shapes.forEach((s) => shapeWords(s, words));
+    // Generic tokens come first, so example commands use them where they can
+    return [
+        { token: { type: TokenType.IDENTIFIER, value: "\u0000" }, text: "x" },
+        { token: { type: TokenType.NUMBER, value: "1" }, text: "1" },
+        { token: { type: TokenType.STRING, value: "text" }, text: '"text"' },
+        { token: { type: TokenType.BOOLEAN, value: "true" }, text: "true" },
+        { token: { type: TokenType.PAREN, value: "(" }, text: "(" },
+        { token: { type: TokenType.PAREN, value: ")" }, text: ")" },
+        { token: { type: TokenType.UNKNOWN, value: "?" }, text: "?" },
+        ...[...KEYWORDS].map((value) => ({ token: { type: TokenType.KEYWORD, value }, text: value })),
+        ...[...words].filter((w) => !KEYWORDS.has(w)).map((value) => ({ token: { type: TokenType.IDENTIFIER, value }, text: value })),
+    ];
+}
+
+/**
+ * The shortest token sequence two automata both accept, as example text, or
+ * null when they share none (a breadth-first search of their product).
+ */
+function sharedCommand(a, b, alphabet) {
+    const key = (x, y) => x * b.edges.length + y;
+    const seen = new Map([[key(a.start, b.start), null]]);
+    const queue = [[a.start, b.start]];
+    while (queue.length > 0) {
+        const [x, y] = queue.shift();
+        if (x === a.accept && y === b.accept) {
+            const words = [];
+            for (let step = seen.get(key(x, y)); step; step = seen.get(step.from)) {
+                if (step.symbol !== null) words.unshift(alphabet[step.symbol].text);
+            }
+            return words.join(" ");
+        }
+        const visit = (nx, ny, symbol) => {
+            if (seen.has(key(nx, ny))) return;
+            seen.set(key(nx, ny), { from: key(x, y), symbol });
+            queue.push([nx, ny]);
+        };
+        a.empty[x].forEach((nx) => visit(nx, y, null));
+        b.empty[y].forEach((ny) => visit(x, ny, null));
+        a.edges[x].forEach((ea) => b.edges[y].forEach((eb) => {
+            const symbol = ea.symbols.findIndex((ok, s) => ok && eb.symbols[s]);
+            if (symbol >= 0) visit(ea.to, eb.to, symbol);
+        }));
+    }
+    return null;
+}
+
+/**
+ * Check a rule list for commands more than one rule matches. The earlier rule
+ * wins such a command, so every overlap must be declared in its `overrides`;
+ * overrides that are not needed, or that name an earlier or unknown rule, are
+ * reported too.
+ * @param {Array} rules - Rules made with defineRule, in matching order
+ * @returns {Array<string>} Problems found, empty when the grammar is unambiguous
+ */
+function checkGrammar(rules) {
+    const problems = [];
+    const shapes = rules.map((rule) => patternShape(rule.elements, rule.kinds));
+    const alphabet = buildAlphabet(shapes);
+    const automata = shapes.map((s) => buildAutomaton(s, alphabet));
+    const position = new Map(rules.map((rule, i) => [rule.name, i]));
+
+    rules.forEach((rule, i) => {
+        if (position.get(rule.name) !== i) problems.push(`Rule "${rule.name}" is defined twice`);
+        rule.overrides.forEach((name) => {
+            if (!position.has(name)) problems.push(`Rule "${rule.name}" overrides unknown rule "${name}"`);
+            else if (position.get(name) < i) problems.push(`Rule "${rule.name}" overrides "${name}", which is tried before it`);
+        });
+        rules.slice(i + 1).forEach((later, offset) => {
+            const shared = sharedCommand(automata[i], automata[i + 1 + offset], alphabet);
+            const declared = rule.overrides.includes(later.name);
+            if (shared !== null && !declared) {
+                problems.push(`Rules "${rule.name}" and "${later.name}" both match "${shared}"; add "${later.name}" to the overrides of "${rule.name}" if it should win`);
+            } else if (shared === null && declared) {
+                problems.push(`Rule "${rule.name}" overrides "${later.name}", but no command matches both`);
+            }
+        });
+    });
+    return problems;
+}
+
+export { shape, defineRule, checkGrammar };
@@ -1,73 +1,175 @@
 /**
  * Preprocessor Module
- * Cleans raw English input: lowercases, strips punctuation, removes filler words,
- * and applies synonym mapping to produce a normalized command string.
+ * Cleans raw English input: lowercases, strips punctuation, writes spelled-out
+ * numbers in digits, applies synonym mapping and removes filler words to
+ * produce a normalized command string.
+ * Each normalized word remembers the columns of the original text it came from.
  */
 
 import { SYNONYMS, FILLER_WORDS } from "./synonyms.js";
+import { readNumberWords } from "./numbers.js";
+
+// A synonym table entry with its phrase split into words
+function synonymEntry([phrase, canonical, context = {}]) {
+    return { phrase, words: phrase.split(" "), canonical, next: context.next || null };
+}
+
+// Group a synonym table's entries by first word, in the order they are tried:
+// longest phrase first, and entries with a context before those without
+function indexSynonyms(table) {
+    const index = new Map();
+    table
+        .map(synonymEntry)
+        .sort((a, b) => b.words.length - a.words.length || Number(Boolean(b.next)) - Number(Boolean(a.next)))
+        .forEach((entry) => {
+            if (!index.has(entry.words[0])) index.set(entry.words[0], []);
+            index.get(entry.words[0]).push(entry);
+        });
+    return index;
+}
+
+const SYNONYM_INDEX = indexSynonyms(SYNONYMS);
 
 /**
- * Preprocess a single line of English input.
- * @param {string} input - Raw user input
- * @returns {string} Cleaned, normalized string
+ * Pieces of a raw line: quoted strings (single or double, with escaped quotes),
+ * grouping parentheses, and words of letters, digits and underscores (keeping
+ * decimal points inside numbers, and a minus sign starting one: "-1"). Any
+ * other punctuation separates words, so "5-3" is two numbers.
  */
-function preprocess(input) {
-    if (!input || typeof input !== "string") return "";
+const PIECE = /(["'])(?:(?=(\\?))\2.)*?\1|[()]|(?:(?<!\w)-(?=\d))?(?:\w|(?<=\d)\.(?=\d))+/g;
 
-    // 1. Convert to lowercase
-    let cleaned = input.toLowerCase().trim();
+/**
+ * Replace words and phrases with their canonical words (longest match first).
+ * A replaced phrase spans all of its words and is marked `mapped`.
+ * @param {Array<{text: string, start: number, end: number}>} words - Lowercased words
+ * @returns {Array<{text: string, start: number, end: number, mapped?: boolean}>} Words with synonyms applied
+ */
+function applySynonyms(words) {
+    const result = [];
+    let i = 0;
+    while (i < words.length) {
+        const entry = (SYNONYM_INDEX.get(words[i].text) || []).find((e) => {
+            const after = words[i + e.words.length];
+            return e.words.every((w, j) => words[i + j] && words[i + j].text === w) && (!e.next || (after && e.next.includes(after.text)));
+        });
+        if (entry) {
+            const last = words[i + entry.words.length - 1];
+            result.push({ text: entry.canonical, start: words[i].start, end: last.end, mapped: true });
+            i += entry.words.length;
+        } else {
+            result.push(words[i]);
+            i++;
+        }
+    }
+    return result;
+}
 
-    // 2. Preserve strings in quotes (single or double)
-    const stringLiterals = [];
-    cleaned = cleaned.replace(/(["'])(?:(?=(\\?))\2.)*?\1/g, (match) => {
-        stringLiterals.push(match.slice(1, -1)); // store without quotes
-        return `__STRING_${stringLiterals.length - 1}__`;
+/**
+ * Preprocess a single line of English input into normalized words, each with
+ * the column span of the original text it came from.
+ * @param {string} input - Raw user input
+ * @returns {Array<{text: string, start: number, end: number}>} Words with 0-based
+ *   `start` (inclusive) and `end` (exclusive) columns into `input`
+ */
+function preprocessWords(input) {
+    if (!input || typeof input !== "string") return [];
+
+    // 1. Split into pieces, dropping punctuation; strings keep their original casing
+    //    and are always written with double quotes
+    let words = [...input.matchAll(PIECE)].map((match) => {
+        const start = match.index;
+        const end = start + match[0].length;
+        const quoted = match[1] !== undefined;
+        return { text: quoted ? `"${match[0].slice(1, -1)}"` : match[0].toLowerCase(), start, end, quoted };
     });
 
-    // 3. Remove punctuation except underscores and string placeholders
-    cleaned = cleaned.replace(/[^\w\s_]/g, " ");
+    // 2. Write spelled-out numbers in digits ("twenty five", "the third item", ...)
+    words = readNumberWords(words);
 
-    // 4. Normalize whitespace
-    cleaned = cleaned.replace(/\s+/g, " ").trim();
+    // 3. Apply the synonym table to words and phrases ("make", "at least", "print out", ...)
+    words = applySynonyms(words);
 
-    // 5. Split into words
-    let words = cleaned.split(" ");
+    // 4. Remove filler words (but keep words that are also synonyms)
+    return words
+        .filter((word) => word.quoted || word.mapped || !FILLER_WORDS.has(word.text))
+        .map(({ text, start, end }) => ({ text, start, end }));
+}
 
-    // 6. Remove filler words (but keep words that are also keywords/synonyms)
-    words = words.filter((word) => {
-        if (SYNONYMS[word] !== undefined) return true; // keep synonyms even if they're filler
-        return !FILLER_WORDS.has(word);
-    });
+/**
+ * Check a synonym table for keys listed twice or mapped to two meanings where
+ * both entries apply, canonical words the table maps again, and keys that
+ * can never match a preprocessed word.
+ * @param {Array} [table] - Synonym entries (see synonyms.js)
+ * @returns {Array<string>} Problems found, empty when the table is consistent
+ */
+function checkSynonyms(table = SYNONYMS) {
+    const problems = [];
+    const entries = table.map(synonymEntry);
+    // Contexts overlap when neither has one or they share a next word
+    const overlap = (a, b) => (!a.next && !b.next) || (a.next && b.next && a.next.some((word) => b.next.includes(word)));
+    const where = (entry) => (entry.next ? ` before "${entry.next.join("|")}"` : "");
 
-    // 7. Apply synonym mapping
-    words = words.map((word) => {
-        if (SYNONYMS[word] !== undefined) {
-            return SYNONYMS[word];
+    entries.forEach((entry, i) => {
+        if (![...entry.words, ...(entry.next || [])].every((word) => /^[a-z0-9_]+$/.test(word))) {
+            problems.push(`Synonym "${entry.phrase}" can never match: keys are lowercase words separated by single spaces`);
         }
-        return word;
+        entries.slice(i + 1).forEach((other) => {
+            if (other.phrase !== entry.phrase || !overlap(entry, other)) return;
+            problems.push(other.canonical === entry.canonical
+                ? `Synonym "${entry.phrase}"${where(entry)} is listed twice`
+                : `Synonym "${entry.phrase}"${where(entry)} maps to both "${entry.canonical}" and "${other.canonical}"`);
+        });
+        entry.canonical.split(" ").forEach((word) => {
+            const again = entries.find((other) => other.phrase === word && !other.next && other.canonical !== word);
+            if (again) problems.push(`Synonym "${entry.phrase}" maps to "${entry.canonical}", but "${word}" is itself mapped to "${again.canonical}"`);
+        });
     });
+    return problems;
+}
 
-    // 8. Restore string literals
-    let result = words.join(" ");
-    stringLiterals.forEach((literal, index) => {
-        result = result.replace(`__string_${index}__`, `"${literal}"`);
-    });
+/**
+ * Preprocess a single line of English input.
+ * @param {string} input - Raw user input
+ * @returns {string} Cleaned, normalized string
+ */
+function preprocess(input) {
+    return preprocessWords(input).map((word) => word.text).join(" ");
+}
 
-    return result;
+/**
+ * Measure the indentation of a raw line (tabs count as four spaces).
+ * @param {string} line - Raw user input line
+ * @returns {number} Indentation width in columns
+ */
+function indentWidth(line) {
+    let width = 0;
+    for (const ch of line) {
+        if (ch === " ") width++;
+        else if (ch === "\t") width += 4;
+        else break;
+    }
+    return width;
 }
 
 /**
  * Preprocess multiple lines of input.
+ * Blank lines are dropped, but every record keeps its original 1-based line
+ * number and indentation so the parser can rebuild nested blocks, plus the
+ * original `source` text and the normalized `words` with their columns in it.
  * @param {string} input - Multi-line raw user input
- * @returns {string[]} Array of cleaned strings, one per line
+ * @returns {Array<{line: number, indent: number, text: string, source: string, words: Array}>}
+ *   One record per non-empty line
  */
 function preprocessLines(input) {
     if (!input || typeof input !== "string") return [];
     return input
         .split("\n")
-        .map((line) => line.trim())
-        .filter((line) => line.length > 0)
-        .map((line) => preprocess(line));
+        .map((source, index) => ({ line: index + 1, indent: indentWidth(source), source }))
+        .filter((entry) => entry.source.trim().length > 0)
+        .map((entry) => {
+            const words = preprocessWords(entry.source);
+            return { ...entry, text: words.map((word) => word.text).join(" "), words };
+        });
 }
 
-export { preprocess, preprocessLines };
+export { preprocess, preprocessWords, preprocessLines, checkSynonyms };
@@ -0,0 +1,212 @@
+/**
+ * Suggestions Module
+ * Recovers from commands no grammar rule matches. Each rule's pattern (see
+ * patterns.js) is lined up against the tokens, the rules are ranked by how
+ * much of their pattern the command covers, and the best one yields a
+ * corrected sentence together with the parts the command is missing.
+ *
+ * Pattern words match exactly after normalization, or as near misses ("form"
+ * for "from"), which count as misspellings. Captures are slots for whatever
+ * the user writes there: one value, or the rest of the command.
+ */
+
+import { GRAMMAR_RULES } from "./grammar.js";
+import { sourceText, TokenType } from "./tokenizer.js";
+
+/**
+ * Rules ranking below this share of their pattern are not suggested.
+ */
+const MIN_SCORE = 0.5;
+
+// Flatten pattern elements into word and slot parts; parts inside an optional
+// part (however deeply) share the group of the outermost one
+function patternParts(elements, kinds, group = null, counter = { groups: 0 }) {
+    return elements.flatMap((element) => {
+        if (element.optional) return patternParts(element.optional, kinds, group ?? ++counter.groups, counter);
+        if (element.word) return [{ ...element.word, group }];
+        return [{ slot: element.capture, rest: element.rest, read: kinds[element.kind].read, group }];
+    });
+}
+
+const PATTERNS = GRAMMAR_RULES.map((rule) => ({ rule, parts: patternParts(rule.elements, rule.kinds) }));
+
+// Edit distance counting a swap of neighbouring letters as one edit
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// How a token matches a pattern word: exactly, as a misspelling of one of its words, or not at all
+function wordMatch(part, token) {
+    if (part.forms.includes(token.value)) return { exact: true };
+    if (token.type !== TokenType.IDENTIFIER && token.type !== TokenType.UNKNOWN) return null;
+    const word = part.words.find((w) => w.length > 3 && editDistance(token.value, w) <= (w.length > 5 ? 2 : 1));
+    return word ? { exact: false, word } : null;
+}
+
+/**
+ * Line a pattern up against the tokens. Words are found in order; the tokens
+ * between two found words fill the slots between them: each slot takes what
+ * its capture kind reads there (or one token), a last <slot...> all of them,
+ * and the rest are stray tokens.
+ * Returns null unless the first word starts the command.
+ */
+function alignPattern(parts, tokens) {
+    const found = parts.map(() => null);
+    let cursor = 0;
+    for (let p = 0; p < parts.length; p++) {
+        if (!parts[p].words) continue;
+        for (let i = cursor; i < tokens.length; i++) {
+            const match = wordMatch(parts[p], tokens[i]);
+            if (match) {
+                found[p] = { ...match, index: i };
+                cursor = i + 1;
+                break;
+            }
+            if (p === 0) break;
+        }
+        if (p === 0 && !found[0]) return null;
+    }
+
+    // An optional slot takes tokens only when a word of its group was found, or the group has none
+    const canFill = (group) => group === null || parts.every((part, p) => part.group !== group || !part.words) ||
+        parts.some((part, p) => part.group === group && found[p]);
+    const slots = parts.map(() => []);
+    const fits = parts.map(() => false);
+    let extra = 0;
+    let start = 0;
+    let segment = [];
+    const fillSegment = (end) => {
+        const active = segment.filter((p) => canFill(parts[p].group));
+        let i = start;
+        active.forEach((p, n) => {
+            if (i >= end) return;
+            const within = tokens.slice(i, end);
+            const read = parts[p].read(within, 0);
+            const next = n === active.length - 1 && parts[p].rest ? end : i + (read ? read.nextIndex : 1);
+            slots[p] = tokens.slice(i, next);
+            fits[p] = Boolean(read) && read.nextIndex === next - i;
+            i = next;
+        });
+        extra += end - i;
+    };
+    parts.forEach((part, p) => {
+        if (part.slot) segment.push(p);
+        else if (found[p]) {
+            fillSegment(found[p].index);
+            start = found[p].index + 1;
+            segment = [];
+        }
+    });
+    fillSegment(tokens.length);
+    return { found, slots, fits, extra };
+}
+
+// Whether the command uses a part's group: always for required parts, else when any of the group matched
+function groupUsed(parts, { found, slots }, group) {
+    return group === null || parts.some((part, p) => part.group === group && (found[p] || slots[p].length > 0));
+}
+
+// Share of the used pattern the command covers: misspelled words count half, slots
+// only when their kind reads what they hold, and stray tokens count against it
+function scoreAlignment(parts, alignment) {
+    const { found, slots, fits, extra } = alignment;
+    let hits = 0;
+    let total = extra;
+    parts.forEach((part, p) => {
+        if (!groupUsed(parts, alignment, part.group)) return;
+        total++;
+        if (part.words && found[p]) hits += found[p].exact ? 1 : 0.5;
+        if (part.slot && fits[p]) hits++;
+    });
+    return total === 0 ? 0 : hits / total;
+}
+
+// Number of pattern words the command contains
+function wordsFound(alignment) {
+    return alignment.found.filter((match) => match).length;
+}
+
+/**
+ * Rank the grammar rules by how much of their usage pattern the tokens match,
+ * then by how many of its words they contain. Only rules whose first word
+ * starts the command take part.
+ * @param {Array} tokens - Tokens of the unrecognized command
+ * @returns {Array<{rule: object, score: number, parts: Array, alignment: object}>} Best first
+ */
+function rankRules(tokens) {
+    return PATTERNS.map(({ rule, parts }) => {
+        const alignment = alignPattern(parts, tokens);
+        return alignment && { rule, parts, alignment, score: scoreAlignment(parts, alignment) };
+    })
+        .filter((ranked) => ranked)
+        .sort((a, b) => b.score - a.score || wordsFound(b.alignment) - wordsFound(a.alignment));
+}
+
+/**
+ * Suggest a correction for an unrecognized command from the best-ranked rule.
+ * @param {Array} tokens - Tokens of the unrecognized command
+ * @param {string} [source] - The original line, to quote the user's own words
+ * @returns {{ rule: object, sentence: string, missing: Array<string>, token: object|null } | null}
+ *   The corrected sentence, with <slots> for what is missing, the missing
+ *   parts and the first misspelled token or the one a missing part belongs
+ *   before; null when no rule comes close
+ */
+function suggestCorrection(tokens, source) {
+    const best = rankRules(tokens)[0];
+    if (!best || best.score < MIN_SCORE) return null;
+    const { parts, alignment } = best;
+    const { found, slots } = alignment;
+
+    // Consecutive missing parts are reported as one phrase; a missing word takes the slot after it along
+    const words = [];
+    const missing = [];
+    let run = [];
+    let withSlot = false;
+    let token = null;
+    // The token where a missing part belongs: the next one the pattern uses, else the last
+    const tokenAfter = (p) => {
+        for (let q = p + 1; q < parts.length; q++) {
+            if (found[q]) return tokens[found[q].index];
+            if (slots[q] && slots[q].length > 0) return slots[q][0];
+        }
+        return tokens[tokens.length - 1];
+    };
+    const flush = () => {
+        if (run.length > 0) missing.push(run.join(" "));
+        run = [];
+    };
+    parts.forEach((part, p) => {
+        if (!groupUsed(parts, alignment, part.group)) return;
+        if (part.slot) {
+            const filled = slots[p].length > 0;
+            words.push(filled ? sourceText(slots[p], source) : `<${part.slot}>`);
+            if (!filled || withSlot) run.push(`<${part.slot}>`);
+            else flush();
+            if (!filled) token = token || tokenAfter(p);
+            withSlot = false;
+        } else if (found[p]) {
+            words.push(found[p].exact ? sourceText([tokens[found[p].index]], source) : found[p].word);
+            if (!found[p].exact) token = token || tokens[found[p].index];
+            withSlot = false;
+            flush();
+        } else {
+            words.push(part.words[0]);
+            run.push(part.words[0]);
+            withSlot = true;
+            token = token || tokenAfter(p);
+        }
+    });
+    flush();
+    return { rule: best.rule, sentence: words.join(" "), missing, token };
+}
+
+export { rankRules, suggestCorrection };
@@ -3,150 +3,213 @@
  * Maps alternative words/phrases to canonical keywords used by the parser.
  */
 
-const SYNONYMS = {
+/**
+ * Words and phrases mapped to canonical words, as [phrase, canonical] or
+ * [phrase, canonical, { next }] entries. The longest phrase matching the raw
+ * words wins; an entry with `next` applies only when the word after the phrase
+ * is one of those, and is tried before the entries without. Canonical text is
+ * final: it is not mapped again. `checkSynonyms` (preprocessor.js) reports
+ * keys listed twice or mapped to two meanings.
+ */
+const SYNONYMS = [
   // --- Variable creation ---
-  "make": "create",
-  "declare": "create",
-  "define": "create",
-  "initialize": "create",
-  "init": "create",
-  "new": "create",
-  "let": "create",
-  "var": "create",
+  ["make", "create"],
+  ["declare", "create"],
+  ["define", "create"],
+  ["initialize", "create"],
+  ["init", "create"],
+  ["new", "create"],
+  ["let", "create"],
+  ["var", "create"],
 
   // --- Assignment ---
-  "assign": "set",
-  "update": "set",
-  "change": "set",
-  "modify": "set",
-  "put": "set",
+  ["assign", "set"],
+  ["update", "set"],
+  ["change", "set"],
+  ["modify", "set"],
 
   // --- Value keywords ---
-  "equal": "value",
-  "equals": "value",
-  "as": "value",
-  "with": "value",
-  "of": "value",
-  "be": "value",
+  ["values", "value"],
+  ["equal", "value"],
+  ["equals", "value"],
+  ["as", "value"],
+  ["with", "value"],
+  ["of", "value"],
+  ["be", "value"],
 
   // --- Print / Output ---
-  "display": "print",
-  "show": "print",
-  "output": "print",
-  "write": "print",
-  "log": "print",
-  "echo": "print",
-  "say": "print",
+  ["display", "print"],
+  ["show", "print"],
+  ["output", "print"],
+  ["write", "print"],
+  ["log", "print"],
+  ["echo", "print"],
+  ["say", "print"],
+  ["print out", "print"],
+  ["write out", "print"],
 
   // --- Input ---
-  "read": "input",
-  "get": "input",
-  "ask": "input",
-  "prompt": "input",
-  "accept": "input",
-  "receive": "input",
+  ["read", "input"],
+  ["get", "input"],
+  ["ask", "input"],
+  ["prompt", "input"],
+  ["accept", "input"],
+  ["receive", "input"],
 
   // --- Arithmetic operators ---
-  "plus": "add",
-  "sum": "add",
-  "subtract": "subtract",
-  "minus": "subtract",
-  "difference": "subtract",
-  "multiply": "multiply",
-  "times": "multiply",
-  "product": "multiply",
-  "divide": "divide",
-  "over": "divide",
-  "quotient": "divide",
-  "modulo": "modulus",
-  "mod": "modulus",
-  "remainder": "modulus",
+  ["plus", "add"],
+  ["sum", "add"],
+  ["add up", "add"],
+  ["sum up", "add"],
+  ["subtract", "subtract"],
+  ["minus", "subtract"],
+  ["difference", "subtract"],
+  ["multiply", "multiply"],
+  ["times", "multiply"],
+  ["product", "multiply"],
+  ["divide", "divide"],
+  ["over", "divide"],
+  ["quotient", "divide"],
+  ["modulo", "modulus"],
+  ["mod", "modulus"],
+  ["remainder", "modulus"],
 
   // --- Comparison operators ---
-  "bigger": "greater",
-  "more": "greater",
-  "above": "greater",
-  "larger": "greater",
-  "exceeds": "greater",
-  "smaller": "less",
-  "below": "less",
-  "fewer": "less",
-  "lower": "less",
-  "under": "less",
-  "same": "equal_to",
-  "identical": "equal_to",
-  "matches": "equal_to",
-  "not": "not",
-  "different": "not_equal",
-  "unequal": "not_equal",
+  ["bigger", "greater"],
+  ["more", "greater"],
+  ["above", "greater"],
+  ["larger", "greater"],
+  ["exceeds", "greater"],
+  ["smaller", "less"],
+  ["below", "less"],
+  ["fewer", "less"],
+  ["lower", "less", { next: ["than"] }],
+  ["under", "less"],
+  ["same", "equal_to"],
+  ["identical", "equal_to"],
+  ["matches", "equal_to"],
+  ["not", "not"],
+  ["different", "not_equal"],
+  ["unequal", "not_equal"],
+  // "is" marks a comparison: "set x equal to 5" assigns
+  ["is equal to", "equal_to"],
+  ["is not equal to", "not_equal"],
+  ["is different from", "not_equal"],
+  ["the same as", "equal_to"],
 
   // --- Logical ---
-  "also": "and",
-  "both": "and",
-  "either": "or",
-  "otherwise": "else",
-  "alternatively": "else",
+  ["also", "and"],
+  ["both", "and"],
+  ["either", "or"],
+  ["otherwise", "else"],
+  ["alternatively", "else"],
+  ["elif", "else if"],
+  ["elseif", "else if"],
 
   // --- Loops ---
-  "repeat": "while",
-  "loop": "while",
-  "iterate": "for",
+  ["repeat", "repeat"],
+  ["loop", "repeat"],
+  ["iterate", "for"],
+  ["every", "each"],
+
+  // --- Loop control ---
+  ["stop", "break"],
+  ["exit", "break"],
+  ["skip", "continue"],
 
   // --- Increment / Decrement ---
-  "increase": "increment",
-  "raise": "increment",
-  "grow": "increment",
-  "decrease": "decrement",
-  "reduce": "decrement",
-  "shrink": "decrement",
-  "lower": "decrement",
+  ["increase", "increment"],
+  ["raise", "increment"],
+  ["grow", "increment"],
+  ["decrease", "decrement"],
+  ["reduce", "decrement"],
+  ["shrink", "decrement"],
+  ["lower", "decrement"],
 
   // --- Function ---
-  "function": "function",
-  "func": "function",
-  "method": "function",
-  "procedure": "function",
-  "routine": "function",
-  "subroutine": "function",
+  ["function", "function"],
+  ["func", "function"],
+  ["method", "function"],
+  ["procedure", "function"],
+  ["routine", "function"],
+  ["subroutine", "function"],
 
   // --- Call ---
-  "invoke": "call",
-  "execute": "call",
-  "run": "call",
+  ["invoke", "call"],
+  ["execute", "call"],
+  ["run", "call"],
 
   // --- Return ---
-  "give": "return",
-  "send": "return",
-  "respond": "return",
+  ["give", "return"],
+  ["send", "return"],
+  ["respond", "return"],
 
   // --- List / Array ---
-  "array": "list",
-  "collection": "list",
+  ["array", "list"],
+  ["collection", "list"],
+
+  // --- Map / Dictionary ---
+  ["dictionary", "map"],
+  ["dict", "map"],
+  ["hashmap", "map"],
+  ["has", "contains"],
+  ["includes", "contains"],
+
+  // --- Remove ---
+  ["delete", "remove"],
+  ["erase", "remove"],
+  ["discard", "remove"],
 
   // --- Append ---
-  "push": "append",
-  "insert": "append",
+  ["push", "append"],
+  ["insert", "append"],
+
+  // --- Strings ---
+  ["concatenate", "join"],
+  ["concat", "join"],
+  ["combine", "join"],
+  ["upcase", "uppercase"],
+  ["downcase", "lowercase"],
 
   // --- Comment ---
-  "note": "comment",
-  "remark": "comment",
+  ["note", "comment"],
+  ["remark", "comment"],
 
   // --- Store ---
-  "save": "store",
-  "keep": "store",
-  "place": "store",
-  "put": "store",
+  ["save", "store"],
+  ["keep", "store"],
+  ["place", "store"],
+  ["put", "store"],
 
   // --- Misc directional words (kept as-is) ---
-  "to": "to",
-  "into": "to",
-  "in": "in",
-  "from": "from",
-  "than": "than",
-  "then": "then",
-  "do": "do",
-  "does": "do",
-};
+  ["to", "to"],
+  ["into", "to"],
+  ["in", "in"],
+  ["from", "from"],
+  ["than", "than"],
+  ["then", "then"],
+  ["do", "do"],
+  ["does", "do"],
+
+  // --- Inclusive comparisons ---
+  ["greater than or equal to", "greater_equal"],
+  ["greater than or equal", "greater_equal"],
+  ["bigger than or equal to", "greater_equal"],
+  ["larger than or equal to", "greater_equal"],
+  ["more than or equal to", "greater_equal"],
+  ["at least", "greater_equal"],
+  ["no less than", "greater_equal"],
+  ["no fewer than", "greater_equal"],
+  ["not less than", "greater_equal"],
+  ["less than or equal to", "less_equal"],
+  ["less than or equal", "less_equal"],
+  ["smaller than or equal to", "less_equal"],
+  ["fewer than or equal to", "less_equal"],
+  ["at most", "less_equal"],
+  ["no more than", "less_equal"],
+  ["not more than", "less_equal"],
+  ["up to", "less_equal"],
+];
 
 /**
  * Filler / stop words that are removed during preprocessing.
@@ -10,11 +10,12 @@ const KEYWORDS = new Set([
     // Actions
     "create", "set", "print", "input", "add", "subtract", "multiply", "divide", "modulus",
     "increment", "decrement", "if", "else", "while", "for", "do", "then",
-    "define", "function", "call", "return", "append", "comment",
+    "repeat", "break", "continue",
+    "define", "function", "call", "return", "append", "comment", "each",
     // Comparisons
-    "greater", "less", "equal_to", "not", "not_equal",
+    "greater", "less", "equal_to", "not", "not_equal", "greater_equal", "less_equal",
     // Structures
-    "variable", "list", "array",
+    "variable", "list", "array", "map", "contains", "remove", "sort",
     // Directives
     "value", "to", "in", "from", "than", "store", "and", "or",
     // Misc
@@ -31,6 +32,7 @@ const TokenType = {
     NUMBER: "NUMBER",
     STRING: "STRING",
     BOOLEAN: "BOOLEAN",
+    PAREN: "PAREN",
     UNKNOWN: "UNKNOWN",
 };
 
@@ -49,16 +51,17 @@ function isString(str) {
 }
 
 /**
- * Tokenize a preprocessed input string.
- * @param {string} input - Preprocessed, cleaned input string
- * @returns {Array<{type: string, value: string}>} Array of token objects
+ * Split unquoted text into words, keeping parentheses as words of their own.
  */
-function tokenize(input) {
-    if (!input || typeof input !== "string") return [];
-
-    const tokens = [];
+function splitWords(text) {
+    const spaced = text.replace(/([()])/g, " $1 ").trim();
+    return spaced ? spaced.split(/\s+/) : [];
+}
 
-    // Split but preserve quoted strings
+/**
+ * Split a preprocessed string into words, keeping quoted strings whole.
+ */
+function splitParts(input) {
     const parts = [];
     let current = "";
     let inQuote = false;
@@ -67,9 +70,7 @@ function tokenize(input) {
     for (let i = 0; i < input.length; i++) {
         const ch = input[i];
         if (!inQuote && (ch === '"' || ch === "'")) {
-            if (current.trim()) {
-                parts.push(...current.trim().split(/\s+/));
-            }
+            parts.push(...splitWords(current));
             current = ch;
             inQuote = true;
             quoteChar = ch;
@@ -84,29 +85,52 @@ function tokenize(input) {
             current += ch;
         }
     }
-    if (current.trim()) {
-        parts.push(...current.trim().split(/\s+/));
-    }
+    parts.push(...splitWords(current));
+    return parts;
+}
 
-    for (const word of parts) {
-        if (!word) continue;
+/**
+ * Classify one word as a token.
+ */
+function classify(word) {
+    if (isString(word)) return { type: TokenType.STRING, value: word.slice(1, -1) };
+    if (isNumber(word)) return { type: TokenType.NUMBER, value: word };
+    if (word === "true" || word === "false") return { type: TokenType.BOOLEAN, value: word };
+    if (word === "(" || word === ")") return { type: TokenType.PAREN, value: word };
+    if (KEYWORDS.has(word)) return { type: TokenType.KEYWORD, value: word };
+    if (/^[a-z_][a-z0-9_]*$/i.test(word)) return { type: TokenType.IDENTIFIER, value: word };
+    return { type: TokenType.UNKNOWN, value: word };
+}
 
-        if (isString(word)) {
-            tokens.push({ type: TokenType.STRING, value: word.slice(1, -1) });
-        } else if (isNumber(word)) {
-            tokens.push({ type: TokenType.NUMBER, value: word });
-        } else if (word === "true" || word === "false") {
-            tokens.push({ type: TokenType.BOOLEAN, value: word });
-        } else if (KEYWORDS.has(word)) {
-            tokens.push({ type: TokenType.KEYWORD, value: word });
-        } else if (/^[a-z_][a-z0-9_]*$/i.test(word)) {
-            tokens.push({ type: TokenType.IDENTIFIER, value: word });
-        } else {
-            tokens.push({ type: TokenType.UNKNOWN, value: word });
-        }
+/**
+ * Tokenize preprocessed input. Given the words of preprocessWords, every token
+ * also carries the `start` and `end` columns of the original text it came from.
+ * @param {string|Array<{text: string, start: number, end: number}>} input - Preprocessed,
+ *   cleaned input string, or preprocessed words
+ * @returns {Array<{type: string, value: string, start?: number, end?: number}>} Array of token objects
+ */
+function tokenize(input) {
+    if (Array.isArray(input)) {
+        // A synonym can stand for several words ("elif" → "else if"), which share its columns
+        return input.flatMap((word) =>
+            splitParts(word.text).filter((part) => part).map((part) => ({ ...classify(part), start: word.start, end: word.end })));
     }
+    if (!input || typeof input !== "string") return [];
+    return splitParts(input).filter((word) => word).map(classify);
+}
 
-    return tokens;
+/**
+ * The text a run of tokens came from, as the user wrote it when the tokens
+ * carry columns into the `source` line, otherwise their normalized values.
+ * @param {Array} tokens - A non-empty run of consecutive tokens
+ * @param {string} [source] - The original line the tokens came from
+ * @returns {string}
+ */
+function sourceText(tokens, source) {
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+    if (source === undefined || first.start === undefined) return tokens.map((t) => t.value).join(" ");
+    return source.slice(first.start, last.end);
 }
 
-export { tokenize, TokenType, KEYWORDS };
+export { tokenize, sourceText, TokenType, KEYWORDS };
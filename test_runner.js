@@ -1,8 +1,17 @@
 // Node.js test runner — verifies all modules work correctly
-import { preprocess, preprocessLines } from './js/preprocessor.js';
+import { preprocess, preprocessWords, preprocessLines, checkSynonyms } from './js/preprocessor.js';
 import { tokenize, TokenType } from './js/tokenizer.js';
-import { parse, parseLine } from './js/parser.js';
-import { generate, generateProgram } from './js/generator.js';
+import { parse, parseLine, parseProgram } from './js/parser.js';
+import { generate, generateProgram, typeWarnings, renameNotices, targetErrors, registerLanguage, getLanguage, languageNames } from './js/generator.js';
+import { generateExpr } from './js/codegen.js';
+import { checkProgram } from './js/checker.js';
+import { rankRules, suggestCorrection } from './js/suggestions.js';
+import { GRAMMAR_RULES } from './js/grammar.js';
+import { shape, defineRule, checkGrammar } from './js/patterns.js';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 let passed = 0, failed = 0;
 
@@ -30,6 +39,20 @@ function assertIncludes(name, actual, substring) {
     }
 }
 
+// Problems `go vet` reports in a generated Go program ('' for none), or null without a Go toolchain
+function goVet(code) {
+    const dir = mkdtempSync(join(tmpdir(), 'go-vet-'));
+    try {
+        writeFileSync(join(dir, 'main.go'), code);
+        execFileSync('go', ['vet', 'main.go'], { cwd: dir, stdio: 'pipe', timeout: 120000 });
+        return '';
+    } catch (e) {
+        return e.code === 'ENOENT' ? null : String(e.stderr || e.message);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
 // ═══ PREPROCESSOR ═══
 console.log('\n=== PREPROCESSOR ===');
 assert('Synonym: make → create', preprocess('make x'), 'create x');
@@ -161,7 +184,7 @@ result = parseLine('print x');
 assert('C++ print', generate(result.node, 'cpp'), 'std::cout << x << std::endl;');
 
 result = parseLine('input y');
-assert('C++ input', generate(result.node, 'cpp'), 'std::cin >> y;');
+assert('C++ input', generate(result.node, 'cpp'), 'std::string y;\nstd::cin >> y;');
 
 // ═══ FULL PROGRAM ═══
 console.log('\n=== FULL PROGRAM ===');
@@ -194,6 +217,1035 @@ const cleanedDisplay = preprocess('display x');
 r = parseLine(cleanedDisplay);
 assert('display x → print', generate(r.node, 'python'), 'print(x)');
 
+// ═══ BLOCKS ═══
+console.log('\n=== BLOCKS ===');
+let program = parseProgram(preprocessLines('for i from 0 to 3 do\n    print i\n    increment total\nprint total'));
+assert('Indented block: no errors', program.errors.length, 0);
+assert('Indented block: top-level count', program.nodes.length, 2);
+assert('Indented block: body length', program.nodes[0].body.length, 2);
+
+program = parseProgram(preprocessLines('while x less than 3 do\nincrement x\nif x greater than 1 then\nprint x\nelse\nprint 0\nend\nend'));
+assert('End block: no errors', program.errors.length, 0);
+assert('End block: nested if', program.nodes[0].body[1].type, 'if_statement');
+assert('End block: else branch', program.nodes[0].body[1].elseBody.length, 1);
+assert('End block: python', generateProgram(program.nodes, 'python'),
+    'while x < 3:\n    x += 1\n    if x > 1:\n        print(x)\n    else:\n        print(0)');
+assertIncludes('End block: java nesting', generateProgram(program.nodes, 'java'),
+    '        while (x < 3) {\n            x++;\n            if (x > 1) {');
+
+program = parseProgram(preprocessLines('for i from 0 to 3 do\nprint i'));
+assert('Missing end reported', program.errors.length, 1);
+assert('Missing end line', program.errors[0].line, 1);
+
+program = parseProgram(preprocessLines('print x\nend'));
+assert('Stray end reported', program.errors[0].line, 2);
+
+result = parseLine('for i from 1 to 3 do print i');
+assert('Inline body is a list', result.node.body.length, 1);
+
+// ═══ CONDITIONS ═══
+console.log('\n=== CONDITIONS ===');
+result = parseLine(preprocess('if x greater than 5 and y less than 10 or done equal to true then print x'));
+assert('Compound condition parses', result.success, true);
+assert('Or binds loosest', result.node.condition.operator, 'or');
+assert('And nested under or', result.node.condition.left.operator, 'and');
+assert('Equal via "equal to"', result.node.condition.right.operator, 'equal');
+assert('Compound python', generate(result.node, 'python'), 'if x > 5 and y < 10 or done == True:\n    print(x)');
+assert('Compound java', generate(result.node, 'java'), 'if (x > 5 && y < 10 || done == true) {\n    System.out.println(x);\n}');
+
+result = parseLine('if not finished then print x');
+assert('Not condition', result.node.condition.type, 'not');
+assert('Bare boolean operand', result.node.condition.operand.type, 'truthy');
+assert('Not python', generate(result.node, 'python'), 'if not finished:\n    print(x)');
+assert('Not cpp', generate(result.node, 'cpp'), 'if (!finished) {\n    std::cout << x << std::endl;\n}');
+assert('Bare true condition', parseLine('while true do print x').node.condition.value, 'true');
+assert('Bare number is not a condition', parseLine('while 3 do print x').success, false);
+assert('Repeat needs times for a count', parseLine('repeat 3 do print x').success, false);
+
+result = parseLine(preprocess('while (x greater than 1 or y greater than 2) and not x less than 9 do increment x'));
+assert('Grouped condition parses', result.success, true);
+assert('Grouped python', generate(result.node, 'python'), 'while (x > 1 or y > 2) and not x < 9:\n    x += 1');
+assert('Grouped java', generate(result.node, 'java'), 'while ((x > 1 || y > 2) && !(x < 9)) {\n    x++;\n}');
+
+// ═══ INCLUSIVE COMPARISONS ═══
+console.log('\n=== INCLUSIVE COMPARISONS ===');
+assert('Phrase: at least', preprocess('if x is at least 18'), 'if x greater_equal 18');
+assert('Phrase: greater than or equal to', preprocess('if x greater than or equal to 5'), 'if x greater_equal 5');
+assert('Phrase: no more than', preprocess('while x is no more than 10'), 'while x less_equal 10');
+
+result = parseLine(preprocess('if age is at least 18 then print age'));
+assert('At least operator', result.node.condition.operator, 'greater_equal');
+assert('At least python', generate(result.node, 'python'), 'if age >= 18:\n    print(age)');
+
+result = parseLine(preprocess('while x is at most 10 do increment x'));
+assert('At most java', generate(result.node, 'java'), 'while (x <= 10) {\n    x++;\n}');
+assert('At most cpp', generate(result.node, 'cpp'), 'while (x <= 10) {\n    x++;\n}');
+
+result = parseLine(preprocess('for i from 1 up to 10 do print i'));
+assert('Up to is inclusive', result.node.inclusive, true);
+assert('Inclusive range python', generate(result.node, 'python'), 'for i in range(1, 11):\n    print(i)');
+assertIncludes('Inclusive range java', generate(result.node, 'java'), 'i <= 10');
+
+// ═══ EXPRESSIONS ═══
+console.log('\n=== EXPRESSIONS ===');
+result = parseLine(preprocess('set total to price times quantity plus tax'));
+assert('Expression assignment parses', result.success, true);
+assert('Plus binds loosest', result.node.value.operator, 'add');
+assert('Times nested left', result.node.value.left.operator, 'multiply');
+assert('Expression python', generate(result.node, 'python'), 'total = price * quantity + tax');
+
+result = parseLine(preprocess('create y value (x plus 1) times 2'));
+assert('Parenthesized expression python', generate(result.node, 'python'), 'y = (x + 1) * 2');
+assert('Parenthesized expression cpp', generate(result.node, 'cpp'), 'auto y = (x + 1) * 2;');
+
+result = parseLine(preprocess('create z value 10 minus (4 minus 1) minus 2'));
+assert('Right grouping kept', generate(result.node, 'java'), 'int z = 10 - (4 - 1) - 2;');
+
+result = parseLine(preprocess('create w value 1.5 times 2'));
+assert('Decimal kept, double inferred', generate(result.node, 'java'), 'double w = 1.5 * 2;');
+
+result = parseLine(preprocess('print x plus y'));
+assert('Print expression', generate(result.node, 'cpp'), 'std::cout << x + y << std::endl;');
+
+result = parseLine(preprocess('return x mod 3'));
+assert('Return expression', generate(result.node, 'python'), 'return x % 3');
+
+result = parseLine(preprocess('call area with w times 2 h'));
+assert('Call argument expressions', generate(result.node, 'java'), 'area(w * 2, h);');
+
+result = parseLine(preprocess('for i from 0 to n minus 1 by 2 do print i'));
+assert('For bound expression', generate(result.node, 'python'), 'for i in range(0, n - 1, 2):\n    print(i)');
+
+result = parseLine(preprocess('if (x plus 1) times 2 greater than 5 then print x'));
+assert('Condition with grouped operand', generate(result.node, 'java'), 'if ((x + 1) * 2 > 5) {\n    System.out.println(x);\n}');
+
+// ═══ FOR EACH ═══
+console.log('\n=== FOR EACH ===');
+result = parseLine(preprocess('for each item in nums do print item'));
+assert('For-each parses', result.success, true);
+assert('For-each type', result.node.type, 'for_each');
+assert('For-each iterable', result.node.iterable, 'nums');
+assert('For-each python', generate(result.node, 'python'), 'for item in nums:\n    print(item)');
+assert('For-each java (unknown list)', generate(result.node, 'java'), 'for (var item : nums) {\n    System.out.println(item);\n}');
+
+program = parseProgram(preprocessLines('create list nums values 1 2 3\nfor each n in nums do print n\ncreate list names values "ann" "bo"\nfor every name in names\n    print name'));
+assert('For-each program: no errors', program.errors.length, 0);
+const forEachJava = generateProgram(program.nodes, 'java');
+assertIncludes('Typed list java', forEachJava, 'ArrayList<Integer> nums = new ArrayList<>(Arrays.asList(1, 2, 3));');
+assertIncludes('Enhanced for java', forEachJava, 'for (int n : nums) {');
+assertIncludes('Enhanced for java strings', forEachJava, 'for (String name : names) {');
+const forEachCpp = generateProgram(program.nodes, 'cpp');
+assertIncludes('Typed vector cpp', forEachCpp, 'std::vector<int> nums = {1, 2, 3};');
+assertIncludes('Range for cpp', forEachCpp, 'for (int n : nums) {');
+assertIncludes('Range for cpp strings', forEachCpp, 'for (const std::string& name : names) {');
+
+// ═══ LOOP CONTROL ═══
+console.log('\n=== LOOP CONTROL ===');
+result = parseLine(preprocess('repeat 5 times print "hi"'));
+assert('Repeat parses', result.success, true);
+assert('Repeat type', result.node.type, 'repeat_loop');
+assert('Repeat python', generate(result.node, 'python'), 'for _ in range(5):\n    print("hi")');
+assert('Repeat java', generate(result.node, 'java'), 'for (int i = 0; i < 5; i++) {\n    System.out.println("hi");\n}');
+
+result = parseLine(preprocess('repeat x less than 3 do increment x'));
+assert('Conditional repeat is a while loop', result.node.type, 'while_loop');
+
+program = parseProgram(preprocessLines('repeat 2 times\n    repeat 3 times do print 1'));
+assertIncludes('Nested repeat counters', generateProgram(program.nodes, 'cpp'), 'for (int j = 0; j < 3; j++) {');
+
+program = parseProgram(preprocessLines('while x less than 10 do\n    increment x\n    if x equal to 5 then continue\n    if x greater than 8 then stop'));
+assert('Break/continue in loop: no errors', program.errors.length, 0);
+assert('Break/continue python', generateProgram(program.nodes, 'python'),
+    'while x < 10:\n    x += 1\n    if x == 5:\n        continue\n    if x > 8:\n        break');
+
+program = parseProgram(preprocessLines('print x\nbreak\nif x greater than 1 then continue'));
+assert('Stray loop control reported', program.errors.length, 2);
+assert('Stray break line', program.errors[0].line, 2);
+assert('Stray continue line', program.errors[1].line, 3);
+
+program = parseProgram([
+    { line: 1, indent: 0, text: 'for i from 1 to 3 do' },
+    { line: 2, indent: 4, text: 'define function f do break' },
+]);
+assert('Function body is outside the loop', program.errors.length, 1);
+
+// ═══ ELSE-IF CHAINS ═══
+console.log('\n=== ELSE-IF CHAINS ===');
+result = parseLine(preprocess('if x greater than 10 then print "big" else if x greater than 5 then print "medium" else print "small"'));
+assert('Else-if chain parses', result.success, true);
+assert('Else-if branch count', result.node.elseIfs.length, 1);
+assert('Else-if condition', result.node.elseIfs[0].condition.operator, 'greater');
+assert('Else-if python', generate(result.node, 'python'),
+    'if x > 10:\n    print("big")\nelif x > 5:\n    print("medium")\nelse:\n    print("small")');
+assert('Else-if java ladder', generate(result.node, 'java'),
+    'if (x > 10) {\n    System.out.println("big");\n} else if (x > 5) {\n    System.out.println("medium");\n} else {\n    System.out.println("small");\n}');
+
+program = parseProgram(preprocessLines('if y less than 0 then\n    print 1\nelse if y equal to 0 then\n    print 2\nelif y less than 10\n    print 3\notherwise\n    print 4'));
+assert('Block else-if: no errors', program.errors.length, 0);
+assert('Block else-if branches', program.nodes[0].elseIfs.length, 2);
+assert('Block else-if cpp', generateProgram(program.nodes, 'cpp').includes('} else if (y == 0) {\n        std::cout << 2 << std::endl;\n    } else if (y < 10) {'), true);
+
+program = parseProgram(preprocessLines('if y less than 0 then\nprint 1\nelse if y greater than 5 then\nprint 2\nelse\nprint 3\nend'));
+assert('End-terminated else-if: no errors', program.errors.length, 0);
+assert('End-terminated else-if body', program.nodes[0].elseIfs[0].body.length, 1);
+
+// ═══ MAPS ═══
+console.log('\n=== MAPS ===');
+program = parseProgram(preprocessLines([
+    'create map ages',
+    'put "alice" as 30 into ages',
+    'get "alice" from ages store in age',
+    'if ages contains "bob" then print "found"',
+    'if not "bob" in ages then print "missing"',
+    'delete "alice" from ages',
+    'for each name and years in ages do print name',
+].join('\n')));
+assert('Map program: no errors', program.errors.length, 0);
+assert('Map put node', program.nodes[1].type, 'map_put');
+assert('Map get node', program.nodes[2].type, 'map_get');
+assert('Map membership condition', program.nodes[3].condition.type, 'contains');
+assert('Map entry loop node', program.nodes[6].type, 'for_each_entry');
+
+const mapPy = generateProgram(program.nodes, 'python');
+assertIncludes('Python dict', mapPy, 'ages = {}');
+assertIncludes('Python put', mapPy, 'ages["alice"] = 30');
+assertIncludes('Python get', mapPy, 'age = ages["alice"]');
+assertIncludes('Python not in', mapPy, 'if "bob" not in ages:');
+assertIncludes('Python del', mapPy, 'del ages["alice"]');
+assertIncludes('Python items', mapPy, 'for name, years in ages.items():');
+
+const mapJava = generateProgram(program.nodes, 'java');
+assertIncludes('Java HashMap import', mapJava, 'import java.util.HashMap;');
+assertIncludes('Java typed HashMap', mapJava, 'HashMap<String, Integer> ages = new HashMap<>();');
+assertIncludes('Java containsKey', mapJava, 'if (ages.containsKey("bob")) {');
+assertIncludes('Java entry loop', mapJava, 'for (var entry : ages.entrySet()) {');
+
+const mapCpp = generateProgram(program.nodes, 'cpp');
+assertIncludes('C++ map include', mapCpp, '#include <map>');
+assertIncludes('C++ typed map', mapCpp, 'std::map<std::string, int> ages;');
+assertIncludes('C++ at', mapCpp, 'age = ages.at("alice");');
+assertIncludes('C++ erase', mapCpp, 'ages.erase("alice");');
+assertIncludes('C++ structured binding', mapCpp, 'for (const auto& [name, years] : ages) {');
+
+// ═══ LIST OPERATIONS ═══
+console.log('\n=== LIST OPERATIONS ===');
+program = parseProgram(preprocessLines([
+    'create list nums values 5 3 8',
+    'get item 2 of nums store in second',
+    'print length of nums',
+    'if nums contains 3 then print "has three"',
+    'remove 5 from nums',
+    'sort nums',
+    'set last to item length of nums of nums',
+].join('\n')));
+assert('List ops: no errors', program.errors.length, 0);
+assert('Indexed get becomes assignment', program.nodes[1].type, 'assignment');
+assert('Index expression', program.nodes[1].value.type, 'index');
+assert('Length expression', program.nodes[2].values[0].type, 'length');
+assert('Sort node', program.nodes[5].type, 'sort');
+
+const listPy = generateProgram(program.nodes, 'python');
+assertIncludes('Python 1-based index', listPy, 'second = nums[1]');
+assertIncludes('Python len', listPy, 'print(len(nums))');
+assertIncludes('Python list membership', listPy, 'if 3 in nums:');
+assertIncludes('Python list remove', listPy, 'nums.remove(5)');
+assertIncludes('Python sort', listPy, 'nums.sort()');
+assertIncludes('Python computed index', listPy, 'last = nums[len(nums) - 1]');
+
+const listJava = generateProgram(program.nodes, 'java');
+assertIncludes('Java get', listJava, 'second = nums.get(1);');
+assertIncludes('Java size', listJava, 'System.out.println(nums.size());');
+assertIncludes('Java contains', listJava, 'if (nums.contains(3)) {');
+assertIncludes('Java remove by value', listJava, 'nums.remove(Integer.valueOf(5));');
+assertIncludes('Java Collections import', listJava, 'import java.util.Collections;');
+assertIncludes('Java sort', listJava, 'Collections.sort(nums);');
+
+const listCpp = generateProgram(program.nodes, 'cpp');
+assertIncludes('C++ algorithm include', listCpp, '#include <algorithm>');
+assertIncludes('C++ find', listCpp, 'if (std::find(nums.begin(), nums.end(), 3) != nums.end()) {');
+assertIncludes('C++ erase found', listCpp, 'nums.erase(it);');
+assertIncludes('C++ sort', listCpp, 'std::sort(nums.begin(), nums.end());');
+
+// ═══ STRINGS ═══
+console.log('\n=== STRINGS ===');
+program = parseProgram(preprocessLines([
+    'create variable first value "Ada"',
+    'create variable last value "Lovelace"',
+    'create variable age value 36',
+    'join first and last into full_name',
+    'uppercase full_name',
+    'print "Hello, {name}!"',
+    'print "Age:" age',
+    'print length of full_name',
+    'print substring of full_name from 2 to 4',
+    'if full_name contains "Ada" then print "found"',
+].join('\n')));
+assert('Strings: no errors', program.errors.length, 0);
+assert('String literal keeps its casing', program.nodes[0].value, '"Ada"');
+assert('Join node', program.nodes[3].value.type, 'join');
+assert('In-place uppercase', program.nodes[4].value.type, 'string_case');
+assert('Substring node', program.nodes[8].values[0].type, 'substring');
+
+const strPy = generateProgram(program.nodes, 'python');
+assertIncludes('Python join f-string', strPy, 'full_name = f"{first} {last}"');
+assertIncludes('Python upper', strPy, 'full_name = full_name.upper()');
+assertIncludes('Python interpolation', strPy, 'print(f"Hello, {name}!")');
+assertIncludes('Python string len', strPy, 'print(len(full_name))');
+assertIncludes('Python slice', strPy, 'print(full_name[1:4])');
+assertIncludes('Python substring check', strPy, 'if "Ada" in full_name:');
+
+const strJava = generateProgram(program.nodes, 'java');
+assertIncludes('Java join', strJava, 'full_name = first + " " + last;');
+assertIncludes('Java toUpperCase', strJava, 'full_name = full_name.toUpperCase();');
+assertIncludes('Java String.format', strJava, 'System.out.println(String.format("Hello, %s!", name));');
+assertIncludes('Java print spacing', strJava, 'System.out.println("Age: " + age);');
+assertIncludes('Java string length', strJava, 'System.out.println(full_name.length());');
+assertIncludes('Java substring', strJava, 'System.out.println(full_name.substring(1, 4));');
+assertIncludes('Java string contains', strJava, 'if (full_name.contains("Ada")) {');
+
+const strCpp = generateProgram(program.nodes, 'cpp');
+assertIncludes('C++ upper helper', strCpp, 'std::string to_upper(std::string s) {');
+assertIncludes('C++ cctype include', strCpp, '#include <cctype>');
+assertIncludes('C++ upper call', strCpp, 'full_name = to_upper(full_name);');
+assertIncludes('C++ streamed interpolation', strCpp, 'std::cout << "Hello, " << name << "!" << std::endl;');
+assertIncludes('C++ print spacing', strCpp, 'std::cout << "Age: " << age << std::endl;');
+assertIncludes('C++ substr', strCpp, 'std::cout << full_name.substr(1, 3) << std::endl;');
+assertIncludes('C++ string find', strCpp, 'if (full_name.find("Ada") != std::string::npos) {');
+
+program = parseProgram(preprocessLines('create variable age value 36\njoin "Age" and age into label'));
+assert('C++ join converts numbers', generateProgram(program.nodes, 'cpp').includes('label = "Age " + std::to_string(age);'), true);
+
+// ═══ JAVASCRIPT ═══
+console.log('\n=== JAVASCRIPT ===');
+assert('JS const declaration', generate(parseLine('create variable x value 10').node, 'javascript'), 'const x = 10;');
+assert('JS print', generate(parseLine('print x y').node, 'javascript'), 'console.log(x, y);');
+assert('JS strict equality', generate(parseLine(preprocess('if x equal to 5 then print x')).node, 'javascript'), 'if (x === 5) {\n    console.log(x);\n}');
+program = parseProgram(preprocessLines([
+    'create variable count value 0',
+    'create list nums values 5 3 8',
+    'append 10 to nums',
+    'sort nums',
+    'for each n in nums do print n',
+    'repeat 3 times',
+    '    increment count',
+    'end',
+    'create map ages',
+    'put "alice" as 30 into ages',
+    'if ages contains "alice" then print "found"',
+    'print "Count: {count}"',
+].join('\n')));
+assert('JS program: no errors', program.errors.length, 0);
+const js = generateProgram(program.nodes, 'javascript');
+assertIncludes('JS let for reassigned variable', js, 'let count = 0;');
+assertIncludes('JS const array', js, 'const nums = [5, 3, 8];');
+assertIncludes('JS push', js, 'nums.push(10);');
+assertIncludes('JS numeric sort', js, 'nums.sort((a, b) => a - b);');
+assertIncludes('JS for-of', js, 'for (const n of nums) {');
+assertIncludes('JS counted loop', js, 'for (let i = 0; i < 3; i++) {');
+assertIncludes('JS Map', js, 'const ages = new Map();');
+assertIncludes('JS Map set', js, 'ages.set("alice", 30);');
+assertIncludes('JS Map has', js, 'if (ages.has("alice")) {');
+assertIncludes('JS template literal', js, 'console.log(`Count: ${count}`);');
+
+program = parseProgram(preprocessLines('input name\nprint name'));
+const jsInput = generateProgram(program.nodes, 'javascript');
+assertIncludes('JS readline import', jsInput, 'const readline = require("readline");');
+assertIncludes('JS input lines from one iterator', jsInput, 'const lines = rl[Symbol.asyncIterator]();');
+assertIncludes('JS awaited input', jsInput, 'name = await nextLine();');
+assertIncludes('JS async main', jsInput, 'async function main() {');
+
+program = parseProgram(preprocessLines('input first\ninput second\ninput third\nprint first second third'));
+const pipedDir = mkdtempSync(join(tmpdir(), 'js-input-'));
+writeFileSync(join(pipedDir, 'main.cjs'), generateProgram(program.nodes, 'javascript'));
+const piped = execFileSync(process.execPath, [join(pipedDir, 'main.cjs')], { input: 'a\nb\nc\n', timeout: 20000 }).toString();
+rmSync(pipedDir, { recursive: true, force: true });
+assert('JS reads every piped input line', piped, 'a b c\n');
+
+// ═══ TYPESCRIPT ═══
+console.log('\n=== TYPESCRIPT ===');
+program = parseProgram(preprocessLines([
+    'create variable count value 0',
+    'create variable name value "Ada"',
+    'create variable done value false',
+    'create list scores values 90 85.5',
+    'create list tags values "a" "b"',
+    'create map ages',
+    'put "alice" as 30 into ages',
+    'get "alice" from ages store in age',
+    'add count and 5 store in total',
+    'if total greater than 3 then set big to true',
+    'increment count',
+].join('\n')));
+assert('TS program: no errors', program.errors.length, 0);
+const ts = generateProgram(program.nodes, 'typescript');
+assertIncludes('TS number annotation', ts, 'let count: number = 0;');
+assertIncludes('TS string annotation', ts, 'const name: string = "Ada";');
+assertIncludes('TS boolean annotation', ts, 'const done: boolean = false;');
+assertIncludes('TS number[] annotation', ts, 'const scores: number[] = [90, 85.5];');
+assertIncludes('TS string[] annotation', ts, 'const tags: string[] = ["a", "b"];');
+assertIncludes('TS typed Map', ts, 'const ages = new Map<string, number>();');
+assertIncludes('TS map get', ts, 'const age: number = ages.get("alice")!;');
+assertIncludes('TS first store declares', ts, 'const total: number = count + 5;');
+assertIncludes('TS nested store is declared up front', ts, 'let big: boolean = false;');
+assertIncludes('TS module marker', ts, 'export {};');
+
+const tsFunctions = generateProgram([
+    {
+        type: 'function_def', name: 'area', params: ['w', 'h'],
+        body: [
+            { type: 'arithmetic', operator: 'multiply', left: 'w', right: 'h', result: 'result' },
+            { type: 'return', value: 'result' },
+        ],
+    },
+    { type: 'function_def', name: 'greet', params: ['who'], body: [{ type: 'print', values: ['who'] }] },
+    { type: 'function_call', name: 'area', args: ['3', '4.5'] },
+    { type: 'function_call', name: 'greet', args: ['"Ada"'] },
+], 'typescript');
+assertIncludes('TS parameter and return types', tsFunctions, 'function area(w: number, h: number): number {');
+assertIncludes('TS local declared in function', tsFunctions, '    const result: number = w * h;');
+assertIncludes('TS void function', tsFunctions, 'function greet(who: string): void {');
+
+program = parseProgram(preprocessLines('input line\nprint line'));
+const tsInput = generateProgram(program.nodes, 'typescript');
+assertIncludes('TS readline import', tsInput, 'import * as readline from "readline";');
+assertIncludes('TS typed line reader', tsInput, 'async function nextLine(): Promise<string> {');
+assertIncludes('TS typed input', tsInput, 'const line: string = await nextLine();');
+assertIncludes('TS async main', tsInput, 'async function main(): Promise<void> {');
+
+// ═══ GO ═══
+console.log('\n=== GO ===');
+program = parseProgram(preprocessLines([
+    'create variable count value 0',
+    'create variable name value "Ada"',
+    'create list scores values 90 85.5',
+    'create map ages',
+    'put "alice" as 30 into ages',
+    'get "alice" from ages store in age',
+    'add count and 5 store in total',
+    'if total greater than 3 then set big to true',
+    'while count less than 3 do increment count',
+    'append 70 to scores',
+    'sort scores',
+    'print name count',
+    'print "Hi {name}"',
+    'for each s in scores do print s',
+].join('\n')));
+assert('Go program: no errors', program.errors.length, 0);
+const go = generateProgram(program.nodes, 'go');
+assert('Go package main', go.startsWith('package main\n'), true);
+assertIncludes('Go grouped imports', go, 'import (\n\t"fmt"\n\t"slices"\n)');
+assertIncludes('Go main function', go, 'func main() {');
+assertIncludes('Go short declaration', go, '\tcount := 0');
+assertIncludes('Go slice literal', go, 'scores := []float64{90, 85.5}');
+assertIncludes('Go map literal', go, 'ages := map[string]int{}');
+assertIncludes('Go map get declares', go, 'age := ages["alice"]');
+assertIncludes('Go first store declares', go, 'total := count + 5');
+assertIncludes('Go nested store is declared up front', go, '\tvar big bool');
+assertIncludes('Go while becomes for', go, 'for count < 3 {\n\t\tcount++\n\t}');
+assertIncludes('Go append', go, 'scores = append(scores, 70)');
+assertIncludes('Go sort', go, 'slices.Sort(scores)');
+assertIncludes('Go Println', go, 'fmt.Println(name, count)');
+assertIncludes('Go interpolation uses Printf', go, 'fmt.Printf("Hi %v\\n", name)');
+assertIncludes('Go range loop', go, 'for _, s := range scores {');
+
+program = parseProgram(preprocessLines('input line\nif line contains "x" then print "found"'));
+const goInput = generateProgram(program.nodes, 'go');
+assertIncludes('Go input imports', goInput, '\t"bufio"\n\t"fmt"\n\t"os"\n\t"strings"\n');
+assertIncludes('Go scanner setup', goInput, 'scanner := bufio.NewScanner(os.Stdin)');
+assertIncludes('Go input read', goInput, 'scanner.Scan()\n\tline := scanner.Text()');
+assertIncludes('Go string contains', goInput, 'if strings.Contains(line, "x") {');
+
+const goFunctions = generateProgram([
+    {
+        type: 'function_def', name: 'area', params: ['w', 'h'],
+        body: [
+            { type: 'arithmetic', operator: 'multiply', left: 'w', right: 'h', result: 'result' },
+            { type: 'return', value: 'result' },
+        ],
+    },
+    { type: 'function_call', name: 'area', args: ['3', '4'] },
+    { type: 'map_creation', name: 'm' },
+    { type: 'if_statement', condition: { type: 'contains', collection: 'm', item: '"k"' }, thenBody: [{ type: 'remove', collection: 'm', item: '"k"' }] },
+], 'go');
+assertIncludes('Go typed function', goFunctions, 'func area(w int, h int) int {\n\tresult := w * h\n\treturn result\n}');
+assertIncludes('Go map key helper', goFunctions, 'func hasKey[K comparable, V any](m map[K]V, key K) bool {');
+assertIncludes('Go map contains', goFunctions, 'if hasKey(m, "k") {\n\t\tdelete(m, "k")\n\t}');
+
+program = parseProgram(preprocessLines('set x to 5\nset y to 2\nincrease y by 1\ncreate list xs values 1 2\nappend 3 to xs\nif x greater than 1 then set z to 4\nprint x'));
+const goUnread = generateProgram(program.nodes, 'go');
+assertIncludes('Go blank use of a variable never read', goUnread, 'y := 2\n\t_ = y\n');
+assertIncludes('Go blank use of a hoisted variable', goUnread, 'var z int\n\t_ = z\n');
+assert('Go no blank use of a read variable', goUnread.includes('_ = x'), false);
+assert('Go appending reads the list', goUnread.includes('_ = xs'), false);
+
+program = parseProgram(preprocessLines('create list vals values 1 2\nfor each v in vals do print "hi"\nfor each w in vals do print w\ncreate map m\nput 1 with 2 in m\nfor each k and val in m do print "x"\nfor each k2 and v2 in m do print v2\nfor each k3 and v3 in m do print k3'));
+const goLoops = generateProgram(program.nodes, 'go');
+assertIncludes('Go range without an unread element', goLoops, 'for range vals {');
+assertIncludes('Go range binding a read element', goLoops, 'for _, w := range vals {');
+assertIncludes('Go map range without unread names', goLoops, 'for range m {');
+assertIncludes('Go map range binding only the value', goLoops, 'for _, v2 := range m {');
+assertIncludes('Go map range binding only the key', goLoops, 'for k3 := range m {');
+const loopVet = goVet(goLoops);
+if (loopVet === null) console.log('  - go vet skipped: no Go toolchain');
+else assert('Go loops pass go vet', loopVet, '');
+
+// ═══ RUST ═══
+console.log('\n=== RUST ===');
+const rust = generateProgram(parseProgram(preprocessLines([
+    'create variable count value 0',
+    'create variable name value "Ada"',
+    'create list scores values 90 85.5',
+    'create list tags values "a" "b"',
+    'create map ages',
+    'put "alice" as 30 into ages',
+    'get "alice" from ages store in age',
+    'if total greater than 3 then set big to true',
+    'while count less than 3 do increment count',
+    'append 70 to scores',
+    'sort scores',
+    'remove "a" from tags',
+    'print name count',
+    'print scores',
+    'for each s in scores do print s',
+    'for each t in tags do print t',
+    'print item 1 of tags',
+].join('\n'))).nodes, 'rust');
+assertIncludes('Rust main function', rust, 'fn main() {');
+assertIncludes('Rust mutable variable', rust, 'let mut count = 0;');
+assertIncludes('Rust owned string', rust, 'let name = "Ada".to_string();');
+assertIncludes('Rust vec with matching floats', rust, 'let mut scores = vec![90.0, 85.5];');
+assertIncludes('Rust HashMap import', rust, 'use std::collections::HashMap;');
+assertIncludes('Rust HashMap insert', rust, 'ages.insert("alice".to_string(), 30);');
+assertIncludes('Rust map get', rust, 'let age = ages["alice"];');
+assertIncludes('Rust nested store is declared up front', rust, 'let mut big = false;');
+assertIncludes('Rust while loop', rust, 'while count < 3 {\n        count += 1;\n    }');
+assertIncludes('Rust push float', rust, 'scores.push(70.0);');
+assertIncludes('Rust float sort', rust, 'scores.sort_by(|a, b| a.partial_cmp(b).unwrap());');
+assertIncludes('Rust remove from Vec', rust, 'if let Some(i) = tags.iter().position(|x| *x == "a") {\n        tags.remove(i);\n    }');
+assertIncludes('Rust println captures names', rust, 'println!("{name} {count}");');
+assertIncludes('Rust prints collections with Debug', rust, 'println!("{scores:?}");');
+assertIncludes('Rust copies numbers out of a Vec', rust, 'for &s in &scores {');
+assertIncludes('Rust borrows strings from a Vec', rust, 'for t in &tags {');
+assertIncludes('Rust clones indexed strings', rust, 'println!("{}", tags[0].clone());');
+
+program = parseProgram(preprocessLines('input line\nwhile true do break'));
+const rustInput = generateProgram(program.nodes, 'rust');
+assertIncludes('Rust io import', rustInput, 'use std::io;');
+assertIncludes('Rust stdin read', rustInput, 'let mut line = String::new();\n    io::stdin().read_line(&mut line).expect("Failed to read line");\n    line = line.trim().to_string();');
+assertIncludes('Rust endless loop', rustInput, 'loop {\n        break;\n    }');
+
+program = parseProgram(preprocessLines('create list prices\nappend 2.5 to prices\ncreate list empty'));
+const rustEmpty = generateProgram(program.nodes, 'rust');
+assertIncludes('Rust empty vec takes its element type', rustEmpty, 'let mut prices: Vec<f64> = vec![];');
+assertIncludes('Rust empty vec defaults to String', rustEmpty, 'let empty: Vec<String> = vec![];');
+
+program = parseProgram(preprocessLines('create list xs values 1 2\nprint "list {xs}"\nset s to "got {xs}"'));
+const rustInterpolated = generateProgram(program.nodes, 'rust');
+assertIncludes('Rust interpolated collection uses Debug', rustInterpolated, 'println!("list {xs:?}");');
+assertIncludes('Rust formatted collection uses Debug', rustInterpolated, 'let s = format!("got {xs:?}");');
+
+program = parseProgram(preprocessLines('create list vals values 1.5 2.5\nset n to 2\nif vals contains 2 then print "a"\nif vals contains n then print "b"'));
+const rustSearch = generateProgram(program.nodes, 'rust');
+assertIncludes('Rust searches a float Vec for a float literal', rustSearch, 'if vals.contains(&2.0) {');
+assertIncludes('Rust searches a float Vec for a converted variable', rustSearch, 'if vals.contains(&(n as f64)) {');
+
+const rustFunctions = generateProgram([
+    {
+        type: 'function_def', name: 'area', params: ['w', 'h'],
+        body: [{ type: 'return', value: { type: 'binary', operator: 'multiply', left: 'w', right: 'h' } }],
+    },
+    { type: 'function_def', name: 'greet', params: ['who'], body: [{ type: 'print', values: ['"Hello, {who}!"'] }] },
+    { type: 'function_call', name: 'area', args: ['3', '4'] },
+    { type: 'function_call', name: 'greet', args: ['"Ada"'] },
+    { type: 'for_loop', variable: 'i', from: '0', to: '10', step: '2', inclusive: true, body: [{ type: 'print', values: ['i'] }] },
+], 'rust');
+assertIncludes('Rust typed function', rustFunctions, 'fn area(w: i32, h: i32) -> i32 {\n    return w * h;\n}');
+assertIncludes('Rust String parameter', rustFunctions, 'fn greet(who: String) {\n    println!("Hello, {who}!");\n}');
+assertIncludes('Rust owned argument', rustFunctions, 'greet("Ada".to_string());');
+assertIncludes('Rust stepped range', rustFunctions, 'for i in (0..=10).step_by(2) {');
+
+// ═══ C# ═══
+console.log('\n=== C# ===');
+program = parseProgram(preprocessLines([
+    'create variable name value "Ada"',
+    'create list scores values 90 85',
+    'create map ages',
+    'put "alice" as 30 into ages',
+    'print "Hi {name}" name',
+    'if scores contains 90 then print "yes"',
+    'remove 90 from scores',
+    'sort scores',
+    'append 5 to scores',
+    'for each s in scores do print s',
+    'for each k and v in ages do print k v',
+    'print length of scores',
+    'print substring of name from 2 to 3',
+].join('\n')));
+assert('C# program: no errors', program.errors.length, 0);
+const cs = generateProgram(program.nodes, 'csharp');
+assertIncludes('C# usings', cs, 'using System;\nusing System.Collections.Generic;\n\nclass Program {');
+assertIncludes('C# Main', cs, '    static void Main() {');
+assertIncludes('C# typed variable', cs, 'string name = "Ada";');
+assertIncludes('C# List initializer', cs, 'List<int> scores = new List<int> { 90, 85 };');
+assertIncludes('C# Dictionary', cs, 'Dictionary<string, int> ages = new Dictionary<string, int>();');
+assertIncludes('C# indexer put', cs, 'ages["alice"] = 30;');
+assertIncludes('C# interpolated print', cs, 'Console.WriteLine($"Hi {name} {name}");');
+assertIncludes('C# list contains', cs, 'if (scores.Contains(90)) {');
+assertIncludes('C# remove by value', cs, 'scores.Remove(90);');
+assertIncludes('C# sort', cs, 'scores.Sort();');
+assertIncludes('C# add', cs, 'scores.Add(5);');
+assertIncludes('C# foreach', cs, 'foreach (int s in scores) {');
+assertIncludes('C# foreach entry', cs, 'foreach (var (k, v) in ages) {');
+assertIncludes('C# list count', cs, 'Console.WriteLine(scores.Count);');
+assertIncludes('C# substring', cs, 'name.Substring(1, 2)');
+
+const csNoUsings = generateProgram(parseProgram(preprocessLines('create variable x value 1')).nodes, 'csharp');
+assert('C# omits unneeded usings', csNoUsings.startsWith('class Program {'), true);
+assertIncludes('C# input', generateProgram(parseProgram(preprocessLines('input line')).nodes, 'csharp'), 'line = Console.ReadLine();');
+const csCollections = generateProgram(parseProgram(preprocessLines('create list nums values 1 2\ncreate map ages\nprint nums\nprint ages\nprint "nums: {nums}"\nprint "n" nums')).nodes, 'csharp');
+assertIncludes('C# prints list elements', csCollections, 'Console.WriteLine(string.Join(", ", nums));');
+assertIncludes('C# prints dictionary entries', csCollections, 'Console.WriteLine(string.Join(", ", ages));');
+assertIncludes('C# interpolates list elements', csCollections, 'Console.WriteLine($"nums: {string.Join(", ", nums)}");');
+assertIncludes('C# joins list elements', csCollections, 'Console.WriteLine($"n {string.Join(", ", nums)}");');
+
+const csFunctions = generateProgram([
+    { type: 'function_def', name: 'area', params: ['w', 'h'], body: [{ type: 'return', value: { type: 'binary', operator: 'multiply', left: 'w', right: 'h' } }] },
+    { type: 'function_call', name: 'area', args: ['3', '4'] },
+], 'csharp');
+assertIncludes('C# static method', csFunctions, '    static int area(int w, int h) {\n        return w * h;\n    }\n\n    static void Main() {\n        area(3, 4);');
+
+// ═══ LANGUAGE REGISTRY ═══
+console.log('\n=== LANGUAGE REGISTRY ===');
+assert('Built-in languages', languageNames().join(','), 'python,java,csharp,cpp,javascript,typescript,go,rust');
+assert('Backend label', getLanguage('cpp').label, 'C++');
+assert('Backend extension', getLanguage('rust').extension, 'rs');
+assert('Backend highlighting', getLanguage('go').highlight.keywords instanceof RegExp, true);
+
+// An in-house target built on the Python backend
+registerLanguage('pseudo', {
+    ...getLanguage('python'),
+    label: 'Pseudocode',
+    extension: 'txt',
+    literals: { true: 'yes', false: 'no', null: 'nothing' },
+    emitters: {
+        ...getLanguage('python').emitters,
+        print: (node, lang, ctx) => `SAY ${node.values.map((v) => generateExpr(v, lang, ctx)).join(' ')}`,
+    },
+    collectImports: () => ['BEGIN'],
+    wrapProgram: (nodes, lang, ctx, imports) => [...imports, ...nodes.map((n) => generate(n, lang, ctx)), 'END'].join('\n'),
+});
+const pseudo = generateProgram(parseProgram(preprocessLines('create variable done value true\nprint done')).nodes, 'pseudo');
+assert('Custom language program', pseudo, 'BEGIN\ndone = yes\nSAY done\nEND');
+assert('Custom language listed', languageNames().includes('pseudo'), true);
+assert('Custom language defaults', getLanguage('pseudo').indentUnit, '    ');
+
+function registrationError(name, backend) {
+    try {
+        registerLanguage(name, backend);
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+assert('Rejects missing wrapper', registrationError('broken', { ...getLanguage('java'), wrapProgram: undefined }), 'registerLanguage("broken"): backend.wrapProgram must be a function');
+assert('Rejects missing expression', registrationError('broken', { ...getLanguage('java'), expressions: {} }), 'registerLanguage("broken"): backend.expressions.index must be a function');
+assert('Rejects missing name', registrationError('', getLanguage('java')), 'registerLanguage: a language name is required');
+assert('Broken backends are not registered', languageNames().includes('broken'), false);
+let unknownError = null;
+try {
+    generateProgram(parseProgram(preprocessLines('print 1')).nodes, 'cobol');
+} catch (e) {
+    unknownError = e.message;
+}
+assert('Unknown language', unknownError, 'Unknown target language: cobol');
+assert('Unsupported node type', generate({ type: 'teleport' }, 'java'), '/* Unsupported node type: teleport */');
+
+// ═══ TYPE INFERENCE ═══
+console.log('\n=== TYPE INFERENCE ===');
+
+program = parseProgram(preprocessLines('create variable total value 10\ncreate variable copy value total\ninput name\nset total to 2.5'));
+assertIncludes('Java copy takes the widened type', generateProgram(program.nodes, 'java'), 'double copy = total;');
+assertIncludes('Java input declares a String', generateProgram(program.nodes, 'java'), 'String name = scanner.nextLine();');
+assertIncludes('C++ widens int to double', generateProgram(program.nodes, 'cpp'), 'double total = 10;');
+assertIncludes('C++ input declares a string', generateProgram(program.nodes, 'cpp'), 'std::string name;\n    std::cin >> name;');
+assertIncludes('C# input declares a string', generateProgram(program.nodes, 'csharp'), 'string name = Console.ReadLine();');
+const goWidened = generateProgram(program.nodes, 'go');
+assertIncludes('Go widens int to float64', goWidened, 'var total float64 = 10');
+assertIncludes('Go copy takes the widened type', goWidened, 'copy := total');
+const rustWidened = generateProgram(program.nodes, 'rust');
+assertIncludes('Rust widens int to f64', rustWidened, 'let mut total = 10.0;');
+assertIncludes('Rust widened store', rustWidened, 'total = 2.5;');
+
+program = parseProgram(preprocessLines('set count to 3\nset total to count\nset total to 2.5\nadd count and 1 into total'));
+assertIncludes('Go converts a whole-number variable', generateProgram(program.nodes, 'go'), 'total := float64(count)');
+assertIncludes('Go converts whole-number arithmetic', generateProgram(program.nodes, 'go'), 'total = float64(count + 1)');
+assertIncludes('Rust converts a whole-number variable', generateProgram(program.nodes, 'rust'), 'let mut total = count as f64;');
+assertIncludes('Rust converts whole-number arithmetic', generateProgram(program.nodes, 'rust'), 'total = (count + 1) as f64;');
+
+program = parseProgram(preprocessLines('create variable x value 10\ncreate variable y value 2.5\nset total to x times y plus 1\nif x less than y then print total'));
+const goMixed = generateProgram(program.nodes, 'go');
+assertIncludes('Go whole-number variable beside a float', goMixed, 'total := float64(x) * y + 1');
+assertIncludes('Go converted comparison operand', goMixed, 'if float64(x) < y {');
+
+program = parseProgram(preprocessLines('set total to 2.5\nset n to 3\nset total to total times 2\nset total to n times total\nif n less than total then print n\ndefine function report with x\n    print x\ncall report with 1\ncall report with 2.5'));
+const rustMixed = generateProgram(program.nodes, 'rust');
+assertIncludes('Rust whole-number literal beside a float', rustMixed, 'total = total * 2.0;');
+assertIncludes('Rust whole-number variable beside a float', rustMixed, 'total = (n as f64) * total;');
+assertIncludes('Rust converted comparison operand', rustMixed, 'if (n as f64) < total {');
+assertIncludes('Rust whole-number argument to a float parameter', rustMixed, 'report(1.0);');
+assertIncludes('Other targets leave operands alone', generateProgram(program.nodes, 'java'), 'total = n * total;');
+assert('No warning for widening', typeWarnings(program.nodes).length, 0);
+
+program = parseProgram(preprocessLines('input age\nif age greater than 3 then print "old"\ninput price\nset total to price times 2.5\ninput name\nprint name'));
+const pythonNumbers = generateProgram(program.nodes, 'python');
+assertIncludes('Python converts input used as a number', pythonNumbers, 'age = int(input())');
+assertIncludes('Python converts input used with decimals', pythonNumbers, 'price = float(input())');
+assertIncludes('Python keeps text input', pythonNumbers, 'name = input()');
+assertIncludes('Java parses input used as a number', generateProgram(program.nodes, 'java'), 'int age = Integer.parseInt(scanner.nextLine());');
+assertIncludes('C# parses input used with decimals', generateProgram(program.nodes, 'csharp'), 'double price = double.Parse(Console.ReadLine());');
+assertIncludes('C++ reads input used as a number', generateProgram(program.nodes, 'cpp'), 'int age;\n    std::cin >> age;');
+assertIncludes('TypeScript converts input used as a number', generateProgram(program.nodes, 'typescript'), 'const age: number = Number(');
+const goNumbers = generateProgram(program.nodes, 'go');
+assertIncludes('Go parses input used as a number', goNumbers, 'age, _ := strconv.Atoi(scanner.Text())');
+assertIncludes('Go strconv import', goNumbers, '\t"os"\n\t"strconv"\n');
+assertIncludes('Rust parses input used as a number', generateProgram(program.nodes, 'rust'), 'let age = {\n        let mut line = String::new();\n        io::stdin().read_line(&mut line).expect("Failed to read line");\n        line.trim().parse::<i32>().expect("Not a number")\n    };');
+
+program = parseProgram(preprocessLines('if x greater than 1 then\n  set message to "big"\nend\nprint message'));
+assertIncludes('Java hoists a nested first store', generateProgram(program.nodes, 'java'), 'String message = "";');
+assertIncludes('C++ hoists a nested first store', generateProgram(program.nodes, 'cpp'), 'std::string message;');
+
+program = parseProgram(preprocessLines('create variable count value 1\nprint count\nset count to "many"'));
+let warnings = typeWarnings(program.nodes);
+assert('Type change warning line', warnings.length === 1 && warnings[0].line, 3);
+assert('Type change warning', warnings[0].error, 'Warning: "count" changes from a whole number to text; typed languages keep it a whole number');
+assertIncludes('Java keeps the first type', generateProgram(program.nodes, 'java'), 'int count = 1;');
+
+// ═══ TYPED FUNCTIONS ═══
+console.log('\n=== TYPED FUNCTIONS ===');
+
+result = parseLine('define function area value number w and number h returning number');
+assert('Typed function params', result.node.params.join(','), 'w,h');
+assert('Typed function param types', result.node.paramTypes.join(','), 'double,double');
+assert('Typed function return type', result.node.returns, 'double');
+result = parseLine('define function greet parameters who');
+assert('Untyped function has no declared types', result.node.paramTypes, undefined);
+
+program = parseProgram(preprocessLines('define function area with number w and number h returning number\n    return w multiply h\ncall area with 3 4'));
+assert('Typed function from English', program.errors.length, 0);
+assertIncludes('Java declared signature', generateProgram(program.nodes, 'java'), 'public static double area(double w, double h) {');
+assertIncludes('C++ declared signature', generateProgram(program.nodes, 'cpp'), 'double area(double w, double h) {');
+
+program = parseProgram(preprocessLines('define function twice parameter n\n    return n multiply 2\ndefine function greet parameter who\n    print who\ncall twice with 5\ncall greet with "Ada"'));
+const javaInferred = generateProgram(program.nodes, 'java');
+assertIncludes('Java return type from return value', javaInferred, 'public static int twice(int n) {');
+assertIncludes('Java param type from call site', javaInferred, 'public static void greet(String who) {');
+const cppInferred = generateProgram(program.nodes, 'cpp');
+assertIncludes('C++ return type from return value', cppInferred, 'int twice(int n) {');
+assertIncludes('C++ param type from call site', cppInferred, 'void greet(std::string who) {');
+
+program = parseProgram(preprocessLines('define function describe parameter thing\n    print thing'));
+assertIncludes('Java uncalled param is Object', generateProgram(program.nodes, 'java'), 'public static void describe(Object thing) {');
+assertIncludes('C++ uncalled param is auto', generateProgram(program.nodes, 'cpp'), 'void describe(auto thing) {');
+
+program = parseProgram(preprocessLines('define function area with w and h\n    return w multiply h\ndefine function half with x\n    return x divide 2.5\ndefine function shout with word\n    print word plus "!"'));
+const javaOperands = generateProgram(program.nodes, 'java');
+assertIncludes('Java uncalled params used in arithmetic are numbers', javaOperands, 'public static int area(int w, int h) {');
+assertIncludes('Java uncalled param beside a decimal', javaOperands, 'public static double half(double x) {');
+assertIncludes('Java uncalled param joined with text', javaOperands, 'public static void shout(String word) {');
+assertIncludes('Rust uncalled params used in arithmetic are numbers', generateProgram(program.nodes, 'rust'), 'fn area(w: i32, h: i32) -> i32 {');
+assertIncludes('Go uncalled param joined with text', generateProgram(program.nodes, 'go'), 'func shout(word string) {');
+
+// ═══ TYPED COLLECTIONS ═══
+console.log('\n=== TYPED COLLECTIONS ===');
+
+program = parseProgram(preprocessLines('create list nums\nappend 3 to nums\nappend 4 to nums'));
+assertIncludes('C++ element type from appends', generateProgram(program.nodes, 'cpp'), 'std::vector<int> nums = {};');
+assertIncludes('Java element type from appends', generateProgram(program.nodes, 'java'), 'ArrayList<Integer> nums = new ArrayList<>();');
+
+program = parseProgram(preprocessLines('create list prices value 1 2\nappend 2.5 to prices'));
+assertIncludes('C++ widened element type', generateProgram(program.nodes, 'cpp'), 'std::vector<double> prices = {1, 2};');
+const javaPrices = generateProgram(program.nodes, 'java');
+assertIncludes('Java widened literals', javaPrices, 'ArrayList<Double> prices = new ArrayList<>(Arrays.asList(1.0, 2.0));');
+assertIncludes('Java widened append', javaPrices, 'prices.add(2.5);');
+
+program = parseProgram(preprocessLines('create list names value "ann" "bob"'));
+assertIncludes('C++ string vector', generateProgram(program.nodes, 'cpp'), 'std::vector<std::string> names = {"ann", "bob"};');
+assertIncludes('Java string list', generateProgram(program.nodes, 'java'), 'ArrayList<String> names = ');
+
+program = parseProgram(preprocessLines('create list stuff value 1 2\nappend "three" to stuff'));
+warnings = typeWarnings(program.nodes);
+assert('Mixed list warning line', warnings.length === 1 && warnings[0].line, 2);
+assert('Mixed list warning', warnings[0].error, 'Warning: list "stuff" mixes a whole number and text; typed languages need a single element type');
+assert('C++ mixed list error', JSON.stringify(targetErrors(program.nodes, 'cpp')), JSON.stringify([{ line: 2, error: 'List "stuff" mixes a whole number and text; a C++ vector holds a single element type' }]));
+assert('Rust mixed list error', targetErrors(program.nodes, 'rust')[0].error, 'List "stuff" mixes a whole number and text; a Rust Vec holds a single element type');
+assert('Java mixed list has no error', targetErrors(program.nodes, 'java').length, 0);
+let cppError = '';
+try { generateProgram(program.nodes, 'cpp'); } catch (e) { cppError = e.message; }
+assert('C++ mixed list stops generation', cppError, 'List "stuff" mixes a whole number and text; a C++ vector holds a single element type');
+
+program = parseProgram(preprocessLines('create list m values 1 "a" 2.5\nappend true to m\ncreate list e'));
+const tsMixed = generateProgram(program.nodes, 'typescript');
+assertIncludes('TS mixed list is a union of everything it holds', tsMixed, 'const m: (number | string | boolean)[] = [1, "a", 2.5];');
+assertIncludes('TS empty list of unknown type', tsMixed, 'const e: any[] = [];');
+
+// ═══ SEMANTIC CHECKER ═══
+console.log('\n=== SEMANTIC CHECKER ===');
+
+let checked = checkProgram(parseProgram(preprocessLines('create variable x value 1\nprint x')).nodes);
+assert('Clean program has no diagnostics', checked.length, 0);
+
+checked = checkProgram(parseProgram(preprocessLines('print total\nprint total')).nodes);
+assert('Undefined variable reported once', checked.length, 1);
+assert('Undefined variable message', checked[0].error, '"total" is used but never created');
+assert('Undefined variable line', checked[0].line, 1);
+
+checked = checkProgram(parseProgram(preprocessLines('print later\nset later to 5')).nodes);
+assert('Use before create', checked[0].error, 'Warning: "later" is used before it is created on line 2');
+
+checked = checkProgram(parseProgram(preprocessLines('if x greater than 1 then\n    print "big"')).nodes);
+assert('Condition reads are checked', checked[0].error, '"x" is used but never created');
+
+checked = checkProgram(parseProgram(preprocessLines('print "Hello {who}"')).nodes);
+assert('Interpolated names are checked', checked[0].error, '"who" is used but never created');
+
+checked = checkProgram(parseProgram(preprocessLines('call greet')).nodes);
+assert('Undefined function', checked[0].error, 'Function "greet" is called but never defined');
+
+checked = checkProgram(parseProgram(preprocessLines('define function area with w and h\n    print w h\ncall area with 3\ncall area with 3 4')).nodes);
+assert('Arity mismatch reported once', checked.length, 1);
+assert('Arity mismatch', checked[0].error, 'Function "area" takes 2 arguments but is called with 1');
+assert('Arity mismatch line', checked[0].line, 3);
+
+checked = checkProgram(parseProgram(preprocessLines('define function report\n    print total\ncreate variable total value 3\ncall report')).nodes);
+assert('Functions see program variables', checked.length, 0);
+
+checked = checkProgram(parseProgram(preprocessLines('for i from 1 to 3 do\n    print i\nfor each n in nums do print n')).nodes);
+assert('Loop variables are created', checked.length, 1);
+assert('Loop collection is read', checked[0].error, '"nums" is used but never created');
+
+checked = checkProgram(parseProgram(preprocessLines('create variable n value 1\nset n to "one"')).nodes);
+assertIncludes('Type warnings included', checked[0].error, 'Warning: "n" changes from a whole number to text');
+
+// ═══ RESERVED WORDS ═══
+console.log('\n=== RESERVED WORDS ===');
+
+program = parseProgram(preprocessLines('create variable class value 3\ncreate variable int value 1\nprint class int'));
+const javaReserved = generateProgram(program.nodes, 'java');
+assertIncludes('Java renames class', javaReserved, 'int class_ = 3;');
+assertIncludes('Java renames int', javaReserved, 'int int_ = 1;');
+assertIncludes('Java renames uses too', javaReserved, 'System.out.println(class_ + " " + int_);');
+assertIncludes('JavaScript keeps int', generateProgram(program.nodes, 'javascript'), 'const int = 1;');
+assertIncludes('Original nodes untouched', program.nodes[0].name, 'class');
+let notices = renameNotices(program.nodes, 'java');
+assert('Rename notice count', notices.length, 1);
+assert('Rename notice', notices[0].error, 'Note: renamed names reserved in Java: class → class_, int → int_');
+assert('Rename notice line', notices[0].line, 1);
+assert('Go renames int only', renameNotices(program.nodes, 'go')[0].error, 'Note: renamed names reserved in Go: int → int_');
+assert('No notice for JavaScript', renameNotices(parseProgram(preprocessLines('create variable total value 1')).nodes, 'javascript').length, 0);
+
+program = parseProgram(preprocessLines('create variable class value 1\ncreate variable class_ value 2\nprint "{class}" class_'));
+const pyReserved = generateProgram(program.nodes, 'python');
+assertIncludes('Rename skips names in use', pyReserved, 'class__ = 1\nclass_ = 2');
+assertIncludes('Rename reaches placeholders', pyReserved, 'print(f"{class__}", class_)');
+
+program = parseProgram(preprocessLines('define function main with x\n    print x\ncall main with 2'));
+const cppReserved = generateProgram(program.nodes, 'cpp');
+assertIncludes('C++ renames a function called main', cppReserved, 'void main_(int x) {');
+assertIncludes('C++ renames its calls', cppReserved, 'main_(2);');
+
+// ═══ SOURCE POSITIONS ═══
+console.log('\n=== SOURCE POSITIONS ===');
+
+let words = preprocessWords('Please Print "Hi There"!');
+assert('Words keep their columns', words.map(w => `${w.text}@${w.start}-${w.end}`).join(' '), 'print@7-12 "Hi There"@13-23');
+words = preprocessWords('x is greater than or equal to 5');
+assert('Phrase spans its words', words.map(w => `${w.text}@${w.start}-${w.end}`).join(' '), 'x@0-1 greater_equal@5-29 5@30-31');
+assert('Synonym words share a span', tokenize(preprocessWords('elif x')).map(t => `${t.value}@${t.start}`).join(' '), 'else@0 if@0 x@5');
+assert('Words join to preprocess output', preprocessWords('Set X to 10.5, then stop').map(w => w.text).join(' '), preprocess('Set X to 10.5, then stop'));
+
+let spanned = tokenize(preprocessWords('  Create variable Total value 3'));
+assert('Token start column', spanned[2].start, 18);
+assert('Token end column', spanned[2].end, 23);
+assert('Token keeps normalized value', spanned[2].value, 'total');
+assert('String input has no columns', tokenize('print x')[0].start, undefined);
+
+let source = 'Crate a Variable X value 10';
+let failure = parse(tokenize(preprocessWords(source)), source);
+assertIncludes('Error quotes the original text', failure.error, '"Crate a Variable X value 10"');
+assert('Error starts at the misspelled word', failure.start, 0);
+assert('Error ends at the misspelled word', failure.end, 5);
+
+let positioned = parseProgram(preprocessLines('print "ok"\nIf Count greater than 5 then Prnt Count\nbreak'));
+assert('Inline error line', positioned.errors[0].line, 2);
+assert('Inline error points past the header', 'If Count greater than 5 then Prnt Count'.slice(positioned.errors[0].start, positioned.errors[0].end), 'Prnt');
+assertIncludes('Inline error names the word', positioned.errors[0].error, '(at "Prnt")');
+assert('Stray break points at break', positioned.errors[1].end - positioned.errors[1].start, 5);
+positioned = parseProgram(preprocessLines('print x\n    end'));
+assert('Unexpected end column', positioned.errors[0].start, 4);
+positioned = parseProgram(preprocessLines('print 3x'));
+assert('Unreadable word is the offending word', positioned.errors[0].start, 6);
+assert('Unparsed lines report no columns', parseProgram([{ line: 1, indent: 0, text: 'crate x' }]).errors[0].start, undefined);
+
+// ═══ RECOVERY SUGGESTIONS ═══
+console.log('\n=== RECOVERY SUGGESTIONS ===');
+
+let spoken = 'for i from 1 10';
+let ranked = rankRules(tokenize(preprocessWords(spoken)));
+assert('Closest rule ranks first', ranked[0].rule.name, 'for_loop');
+assert('Rules are ranked by score', ranked.every((r, i) => i === 0 || ranked[i - 1].score >= r.score), true);
+assert('Only rules starting the command rank', ranked.some(r => r.rule.name === 'print'), false);
+let suggestion = suggestCorrection(tokenize(preprocessWords(spoken)), spoken);
+assert('Suggested sentence fills the gap', suggestion.sentence, 'for i from 1 to 10');
+assert('Missing part names its slot', suggestion.missing.join(), 'to <end>');
+assert('Suggestion points where the part is missing', suggestion.token.start, 13);
+
+spoken = 'Crate a Variable Total value 10';
+suggestion = suggestCorrection(tokenize(preprocessWords(spoken)), spoken);
+assert('Misspelled command word is corrected', suggestion.sentence, 'create Variable Total value 10');
+assert('Misspelling is not missing', suggestion.missing.length, 0);
+suggestion = suggestCorrection(tokenize(preprocessWords('for i form 1 to 10')));
+assert('Misspelled inner word is corrected', suggestion.sentence, 'for i from 1 to 10');
+suggestion = suggestCorrection(tokenize(preprocessWords('put "a" with 1 ages')));
+assert('Missing map of a put is suggested', suggestion.missing.join(), 'in <map>');
+suggestion = suggestCorrection(tokenize(preprocessWords('repeat 3 do print x')));
+assert('Synonym words match their pattern word', suggestion.missing.join(), 'times');
+suggestion = suggestCorrection(tokenize(preprocessWords('create function')));
+assert('Ties go to the rule with more words', suggestion.rule.name, 'function_def');
+assert('Missing trailing slot', suggestion.sentence, 'create function <name>');
+suggestion = suggestCorrection(tokenize(preprocessWords('get item 2 of names store')));
+assert('Optional group is completed', suggestion.sentence, 'input item 2 value names store in <variable>');
+assert('No suggestion for unknown words', suggestCorrection(tokenize('blah blah')), null);
+
+let recovered = parseProgram(preprocessLines('for i from 1 10 do print i'));
+assertIncludes('Error says what was missing', recovered.errors[0].error, 'The for loop pattern needs "to <end>"');
+assertIncludes('Error suggests a sentence', recovered.errors[0].error, 'Did you mean "for i from 1 to 10 do print i"?');
+assert('Error points at the gap', recovered.errors[0].start, 13);
+recovered = parseProgram(preprocessLines('if x greater than 5 then Prnt x'));
+assertIncludes('Inline body is corrected on its own', recovered.errors[0].error, 'Did you mean "print x"?');
+recovered = parseProgram(preprocessLines('sort 5'));
+assertIncludes('Complete but invalid command shows the pattern', recovered.errors[0].error, 'The sort pattern is "sort <list>"');
+assertIncludes('Unrelated text lists examples', parse(tokenize('blah blah')).error, 'Try patterns like');
+
+// ═══ GRAMMAR PATTERNS ═══
+console.log('\n=== GRAMMAR PATTERNS ===');
+
+assert('Built-in grammar has no undeclared overlaps', checkGrammar(GRAMMAR_RULES).join('\n'), '');
+assert('Usage comes from the pattern', GRAMMAR_RULES.find((r) => r.name === 'for_loop').usage,
+    'for <variable> from <start> to|up to <end> [by <step>] [[do] <body...>]');
+let patternResult = parse(tokenize(preprocess('for i from 1 up to 5 do print i')));
+assert('Phrase words in patterns', patternResult.node.inclusive, true);
+patternResult = parse(tokenize(preprocess('for i from 1 to 5 inclusive do print i')));
+assert('Patterns must account for every token', patternResult.success, false);
+patternResult = parse(tokenize(preprocess('increment x')));
+assert('Optional parts default in build', patternResult.node.amount, '1');
+
+// A toy grammar: one kind reading a single identifier
+const TOY_KINDS = {
+    id: {
+        read: (tokens, i) => (tokens[i] && tokens[i].type === TokenType.IDENTIFIER ? { value: tokens[i].value, nextIndex: i + 1 } : null),
+        shape: shape.token((t) => t.type === TokenType.IDENTIFIER),
+    },
+};
+const swapRule = defineRule({ name: 'swap', pattern: 'swap {first:id} [and] {second:id}' }, TOY_KINDS);
+assert('Default node is the captures', JSON.stringify(swapRule.match(tokenize('swap a and b'))), '{"type":"swap","first":"a","second":"b"}');
+assert('Optional word may be left out', swapRule.match(tokenize('swap a b')).second, 'b');
+assert('Trailing tokens reject the match', swapRule.match(tokenize('swap a and b c')), null);
+const stepRule = defineRule({ name: 'step', pattern: '{direction:increment|decrement} {name:id}' }, TOY_KINDS);
+assert('Choice capture records the word', stepRule.match(tokenize('decrement x')).direction, 'decrement');
+const pickyRule = defineRule({ name: 'picky', pattern: 'swap {first:id} {second:id}', build: ({ first, second }) => (first === second ? null : { type: 'picky' }) }, TOY_KINDS);
+assert('Build may reject a match', pickyRule.match(tokenize('swap a a')), null);
+
+function patternError(pattern) {
+    try {
+        defineRule({ name: 'broken', pattern }, TOY_KINDS);
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+assert('Unknown capture kind', patternError('swap {first:thing}'), 'Rule "broken": unknown capture kind "thing"');
+assert('Unbalanced brackets', patternError('swap [and {first:id}'), 'Rule "broken": unclosed "["');
+assert('Repeated capture', patternError('swap {first:id} {first:id}'), 'Rule "broken": capture "first" appears twice');
+
+const looseRule = defineRule({ name: 'loose', pattern: 'swap {left:id} {right:id}' }, TOY_KINDS);
+assert('Overlapping rules are reported with an example', checkGrammar([swapRule, looseRule]).join('\n'),
+    'Rules "swap" and "loose" both match "swap x x"; add "loose" to the overrides of "swap" if it should win');
+const winningSwap = defineRule({ name: 'swap', pattern: 'swap {first:id} [and] {second:id}', overrides: ['loose'] }, TOY_KINDS);
+assert('Declared overrides silence the overlap', checkGrammar([winningSwap, looseRule]).length, 0);
+assert('Unknown overrides are reported', checkGrammar([winningSwap, stepRule]).join('\n'),
+    'Rule "swap" overrides unknown rule "loose"');
+const needlessSwap = defineRule({ name: 'swap', pattern: 'swap {first:id} [and] {second:id}', overrides: ['step'] }, TOY_KINDS);
+assert('Unneeded overrides are reported', checkGrammar([needlessSwap, stepRule]).join('\n'),
+    'Rule "swap" overrides "step", but no command matches both');
+assert('Overrides must name later rules', checkGrammar([looseRule, winningSwap]).pop(),
+    'Rule "swap" overrides "loose", which is tried before it');
+
+// ═══ SYNONYM TABLE ═══
+console.log('\n=== SYNONYM TABLE ===');
+
+assert('Synonym table has no conflicts', checkSynonyms().join('\n'), '');
+assert('Phrase: print out', preprocess('print out x'), 'print x');
+assert('Phrase: add up', preprocess('add up x and y store in z'), 'add x and y store in z');
+assert('Phrase: is equal to compares', preprocess('if x is equal to 5'), 'if x equal_to 5');
+assert('Equal to still assigns', preprocess('set x equal to 5'), 'set x value to 5');
+assert('Phrase: the same as', preprocess('if name is the same as "bob"'), 'if name equal_to "bob"');
+assert('Phrase: is different from', preprocess('if x is different from y'), 'if x not_equal y');
+assert('Longest phrase wins', preprocess('if x is not equal to y'), 'if x not_equal y');
+assert('Context: lower than compares', preprocess('if x lower than 5'), 'if x less than 5');
+assert('Context: lower alone decrements', preprocess('lower x by 2'), 'decrement x by 2');
+assert('Put stores', preprocess('put "a" as 1 into ages'), 'store "a" value 1 to ages');
+assert('Define function', parseLine('define function greet do print "hi"').node.type, 'function_def');
+assert('Phrase comparison parses', parse(tokenize(preprocess('if x is the same as y then print x'))).node.condition.operator, 'equal');
+
+assert('Duplicate keys are reported', checkSynonyms([['put', 'store'], ['save', 'store'], ['put', 'store']]).join('\n'),
+    'Synonym "put" is listed twice');
+assert('Contradictory keys are reported', checkSynonyms([['put', 'set'], ['put', 'store']]).join('\n'),
+    'Synonym "put" maps to both "set" and "store"');
+assert('Contexts keep meanings apart', checkSynonyms([['lower', 'less', { next: ['than'] }], ['lower', 'decrement']]).length, 0);
+assert('Overlapping contexts are reported', checkSynonyms([['lower', 'less', { next: ['than'] }], ['lower', 'under', { next: ['than', 'or'] }]]).join('\n'),
+    'Synonym "lower" before "than" maps to both "less" and "under"');
+assert('Chained mappings are reported', checkSynonyms([['same', 'equal'], ['equal', 'value']]).join('\n'),
+    'Synonym "same" maps to "equal", but "equal" is itself mapped to "value"');
+assert('Unmatchable keys are reported', checkSynonyms([['Print Out', 'print']]).join('\n'),
+    'Synonym "Print Out" can never match: keys are lowercase words separated by single spaces');
+
+// ═══ NUMBER WORDS ═══
+console.log('\n=== NUMBER WORDS ===');
+
+assert('Number word', preprocess('create variable count value ten'), 'create variable count value 10');
+assert('Compound number', preprocess('repeat twenty five times'), 'repeat 25 multiply');
+assert('Hundreds and thousands', preprocess('set n to one hundred twenty three thousand four hundred fifty six'), 'set n to 123456');
+assert('Millions', preprocess('set n to two million five hundred thousand ten'), 'set n to 2500010');
+assert('And after hundred', preprocess('set n to one hundred and five'), 'set n to 105');
+assert('And after a scale word', preprocess('set n to two million five hundred thousand and ten'), 'set n to 2500010');
+assert('And between numbers stays a word', preprocess('add one and two store in z'), 'add 1 and 2 store in z');
+assert('Trailing and stays a word', preprocess('if x is one hundred and y is two'), 'if x 100 and y 2');
+assert('Hundreds of a teen', preprocess('print twelve hundred'), 'print 1200');
+assert('Bare scale word', preprocess('set h to a hundred'), 'set h to 100');
+assert('Zero', preprocess('set x to zero'), 'set x to 0');
+assert('Decimal', preprocess('set x to three point one four'), 'set x to 3.14');
+assert('Negative', preprocess('set x to negative five point five'), 'set x to -5.5');
+assert('Negative digits keep their sign', preprocess('for i from 10 to 1 by -1'), 'for i from 10 to 1 by -1');
+assert('Digit and word negatives agree', preprocess('for i from 10 to 1 by -1'), preprocess('for i from 10 to 1 by negative one'));
+assert('A minus between numbers separates them', preprocess('set x to 5-3'), 'set x to 5 3');
+const negativeStep = parseProgram(preprocessLines('for i from 10 to 1 by -1 do print i')).nodes[0];
+assert('Negative digit step', negativeStep && negativeStep.step, '-1');
+assert('Separate numbers stay apart', preprocess('print one two three'), 'print 1 2 3');
+assert('Point without digits stays a word', preprocess('set x to five point'), 'set x to 5 point');
+assert('Quoted number words are kept', preprocess('print "one"'), 'print "one"');
+assert('Ordinal item', preprocess('get the third item of names'), 'input item 3 value names');
+assert('Compound ordinal', preprocess('print the twenty first element of xs'), 'print element 21 value xs');
+assert('Digit ordinal', preprocess('print the 2nd item of xs'), 'print item 2 value xs');
+assert('Ordinals elsewhere stay names', preprocess('create variable first value "Ada"'), 'create variable first value "Ada"');
+const numberTokens = tokenize(preprocessWords('set x to negative five'));
+assert('Number words make a NUMBER token', `${numberTokens[3].type} ${numberTokens[3].value}`, 'NUMBER -5');
+assert('Number spans its words', `${numberTokens[3].start}-${numberTokens[3].end}`, '9-22');
+const ordinalWords = preprocessWords('get the third item of names');
+assert('Ordinal and noun share a span', ordinalWords.map((w) => `${w.text}@${w.start}-${w.end}`).join(' '), 'input@0-3 item@8-18 3@8-18 value@19-21 names@22-27');
+const numberPy = generateProgram(parseProgram(preprocessLines('create list names values "a" "b" "c"\nget the third item of names store in x\nrepeat twenty five times do print x')).nodes, 'python');
+assertIncludes('Ordinal picks the item', numberPy, 'x = names[2]');
+assertIncludes('Spelled-out repeat count', numberPy, 'for _ in range(25):');
+
 // ═══ SUMMARY ═══
 console.log('\n' + '═'.repeat(50));
 console.log(`  ${passed} passed, ${failed} failed, ${passed + failed} total`);